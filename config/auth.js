@@ -0,0 +1,67 @@
+require('dotenv').config();
+const path = require('path');
+
+// unlike `parseInt(...) || fallback`, a configured 0 is kept
+const intFromEnv = (key, fallback) => {
+  const value = parseInt(process.env[key], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Authentication settings
+module.exports = {
+  // JWTs are signed with rotating RS256/ES256 keys, see src/utils/signingKeys.js
+  jwtAlgorithm: process.env.JWT_ALGORITHM || "RS256",
+  jwtIssuer: process.env.JWT_ISSUER || "skillitgh-lms",
+  // keep accepting HS256 tokens signed with PRIVATE_KEY while they are still in circulation
+  acceptLegacyTokens: process.env.JWT_ACCEPT_LEGACY_TOKENS !== "false",
+  // short-lived JWT sent as the `accessToken` cookie / bearer token
+  accessTokenTtlMinutes: parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES, 10) || 15,
+  // rotating refresh tokens stored server-side
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7,
+  emailVerificationTtlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24,
+  // when enabled, unverified users cannot enroll in courses or workshops
+  requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === "true",
+  magicLinkTtlMinutes: parseInt(process.env.MAGIC_LINK_TTL_MINUTES, 10) || 15,
+  invitationTtlHours: parseInt(process.env.INVITATION_TTL_HOURS, 10) || 72,
+  twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || "SkillitGH",
+  // lifetime of the challenge token returned by signIn while the second factor is pending
+  twoFactorChallengeTtlMinutes: parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES, 10) || 5,
+  twoFactorRecoveryCodeCount: 10,
+  // when enabled, admins must enroll in 2FA before they can sign in
+  requireAdminTwoFactor: process.env.REQUIRE_ADMIN_2FA === "true",
+  // failed sign-ins per account: wait between attempts after `loginDelayAfter`, lock after `maxFailedLogins`
+  loginDelayAfter: intFromEnv("LOGIN_DELAY_AFTER", 3),
+  loginMaxDelaySeconds: intFromEnv("LOGIN_MAX_DELAY_SECONDS", 60),
+  maxFailedLogins: intFromEnv("MAX_FAILED_LOGINS", 10),
+  lockoutMinutes: intFromEnv("LOCKOUT_MINUTES", 30),
+  // failed sign-ins per IP address across all accounts
+  maxFailedLoginsPerIp: intFromEnv("MAX_FAILED_LOGINS_PER_IP", 50),
+  ipLoginWindowMinutes: intFromEnv("IP_LOGIN_WINDOW_MINUTES", 15),
+  // rules enforced by src/utils/passwordPolicy.js on register, reset and change password
+  passwordPolicy: {
+    minLength: intFromEnv("PASSWORD_MIN_LENGTH", 8),
+    maxLength: 128,
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== "false",
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== "false",
+    requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== "false",
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === "true",
+    // how many previous passwords cannot be reused
+    historySize: intFromEnv("PASSWORD_HISTORY_SIZE", 5),
+    blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE || path.join(__dirname, "../src/data/common-passwords.txt"),
+  },
+  // personal API keys sent in the `X-API-Key` header, limited to the scopes below
+  apiKeyScopes: [
+    "courses:read",
+    "courses:write",
+    "workshops:read",
+    "workshops:write",
+    "users:read",
+    "users:write",
+    "metrics:read",
+  ],
+  apiKeyDefaultTtlDays: parseInt(process.env.API_KEY_DEFAULT_TTL_DAYS, 10) || 90,
+  apiKeyMaxTtlDays: parseInt(process.env.API_KEY_MAX_TTL_DAYS, 10) || 365,
+  maxApiKeysPerUser: parseInt(process.env.MAX_API_KEYS_PER_USER, 10) || 10,
+  // lifetime of the access token an admin gets when signing in as another user, it cannot be refreshed
+  impersonationTtlMinutes: parseInt(process.env.IMPERSONATION_TTL_MINUTES, 10) || 30,
+}
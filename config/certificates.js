@@ -0,0 +1,28 @@
+require('dotenv').config();
+
+// unlike `parseInt(...) || fallback`, a configured 0 is kept
+const intFromEnv = (key, fallback) => {
+  const value = parseInt(process.env[key], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// When learners earn certificates, checked by src/utils/certificates.js
+module.exports = {
+  issuerName: process.env.CERTIFICATE_ISSUER_NAME || "SkillitGH",
+  // printed before the random part of every serial number, e.g. SKG-7KQ2M9XD4P
+  serialPrefix: process.env.CERTIFICATE_SERIAL_PREFIX || "SKG",
+  course: {
+    enabled: process.env.COURSE_CERTIFICATES_ENABLED !== "false",
+    // share of the course's lessons the learner must complete
+    minCompletionPercentage: intFromEnv("COURSE_CERTIFICATE_MIN_COMPLETION", 100),
+    // every published quiz must be passed
+    requirePassedQuizzes: process.env.COURSE_CERTIFICATE_REQUIRE_QUIZZES !== "false",
+    // every published assignment must be submitted and graded
+    requireGradedAssignments: process.env.COURSE_CERTIFICATE_REQUIRE_ASSIGNMENTS === "true",
+  },
+  workshop: {
+    enabled: process.env.WORKSHOP_CERTIFICATES_ENABLED !== "false",
+    // when disabled, every registered attendee qualifies once the workshop has taken place
+    requireMarkedAttendance: process.env.WORKSHOP_CERTIFICATE_REQUIRE_ATTENDANCE !== "false",
+  },
+};
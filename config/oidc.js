@@ -0,0 +1,44 @@
+require('dotenv').config();
+
+// OpenID Connect providers for social sign-in.
+// OIDC_PROVIDERS lists the enabled providers (default "google"). Each one reads OIDC_<PROVIDER>_CLIENT_ID,
+// OIDC_<PROVIDER>_CLIENT_SECRET, OIDC_<PROVIDER>_ISSUER, OIDC_<PROVIDER>_SCOPES, OIDC_<PROVIDER>_NAME and
+// OIDC_<PROVIDER>_REDIRECT_URI, so a local mock identity provider can be added as e.g. OIDC_PROVIDERS=google,mock.
+const knownProviders = {
+  // Google also issues ID tokens with the scheme-less issuer
+  google: { name: "Google", issuer: "https://accounts.google.com", extraIssuers: ["accounts.google.com"] },
+};
+
+const providers = {};
+const providerIds = (process.env.OIDC_PROVIDERS || "google")
+  .split(",")
+  .map((id) => id.trim().toLowerCase())
+  .filter(Boolean);
+
+for (const id of providerIds) {
+  const env = (key) => process.env[`OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_${key}`];
+  const issuer = env("ISSUER") || knownProviders[id]?.issuer;
+  // a provider is only enabled once its client credentials are configured
+  if (!env("CLIENT_ID") || !issuer) {
+    continue;
+  }
+  providers[id] = {
+    id,
+    name: env("NAME") || knownProviders[id]?.name || id,
+    issuer: issuer.replace(/\/$/, ""),
+    extraIssuers: knownProviders[id]?.extraIssuers || [],
+    clientId: env("CLIENT_ID"),
+    clientSecret: env("CLIENT_SECRET"),
+    scopes: env("SCOPES") || "openid email profile",
+    redirectUri: env("REDIRECT_URI") || `${process.env.API_URL}/api/v1/auth/oidc/${id}/callback`,
+  };
+}
+
+module.exports = {
+  providers,
+  // how long the user has to finish signing in at the provider
+  stateTtlMinutes: 10,
+  successRedirect: process.env.OIDC_SUCCESS_REDIRECT || `${process.env.FRONTEND_URL}/dashboard`,
+  failureRedirect: process.env.OIDC_FAILURE_REDIRECT || `${process.env.FRONTEND_URL}/signin`,
+  twoFactorRedirect: process.env.OIDC_TWO_FACTOR_REDIRECT || `${process.env.FRONTEND_URL}/two-factor`,
+}
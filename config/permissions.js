@@ -0,0 +1,66 @@
+// Roles and the permissions they grant. Admins always have every permission; the other mappings are
+// defaults that admins can change through /dashboard/roles.
+const roles = ['admin', 'user', 'instructor', 'facilitator', 'support', 'content-editor'];
+
+// Roles inside a partner organization, independent of the platform role. Org-admins manage its members
+// and see its dashboard.
+const organizationRoles = ['member', 'admin'];
+
+const permissions = {
+  'courses:create': "Create courses",
+  'courses:update': "Edit courses",
+  'courses:delete': "Delete courses",
+  'courses:registrations:read': "See who registered for courses",
+  'courses:students:message': "Message the students enrolled in a course",
+  'courses:enrollments:review': "Approve or reject applications to courses",
+  // without it, course permissions only apply to the courses the user teaches
+  'courses:all': "Manage every course, not only the ones they teach",
+  'workshops:create': "Create workshops",
+  'workshops:update': "Edit workshops and their resources",
+  'workshops:delete': "Delete workshops",
+  'workshops:attendees:read': "See who registered for workshops",
+  'workshops:attendance:mark': "Mark who attended a workshop",
+  'users:read': "View user profiles",
+  'users:update': "Edit user profiles",
+  'users:delete': "Delete users",
+  'users:unlock': "Clear sign-in lockouts",
+  'users:sessions:manage': "View and revoke users' sessions",
+  'users:impersonate': "Sign in as a learner",
+  'notifications:read': "View all notifications",
+  'notifications:manage': "Mark and delete anyone's notifications",
+  'metrics:read': "View dashboard metrics",
+  'organizations:manage': "Create organizations and manage every organization",
+  'certificates:manage': "View and revoke issued certificates",
+};
+
+const defaultRolePermissions = {
+  user: [],
+  instructor: [
+    'courses:create',
+    'courses:update',
+    'courses:registrations:read',
+    'courses:students:message',
+    'courses:enrollments:review',
+  ],
+  facilitator: [
+    'workshops:create',
+    'workshops:update',
+    'workshops:attendees:read',
+    'workshops:attendance:mark',
+  ],
+  support: [
+    'users:read',
+    'users:unlock',
+    'users:sessions:manage',
+    'courses:all',
+    'courses:registrations:read',
+    'workshops:attendees:read',
+  ],
+  'content-editor': [
+    'courses:all',
+    'courses:update',
+    'workshops:update',
+  ],
+};
+
+module.exports = { roles, organizationRoles, permissions, defaultRolePermissions };
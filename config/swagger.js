@@ -62,6 +62,14 @@ const options = {
       {
         name: "Dashboard",
         description: "Dashboard management",
+      },
+      {
+        name: "Organizations",
+        description: "Partner organizations and their members",
+      },
+      {
+        name: "Certificates",
+        description: "Course and workshop certificates and their verification",
       }
     ],
   },
@@ -15,6 +15,21 @@ app.set("trust proxy", 1);
 const rateLimit = require("express-rate-limit");
 const xss = require("xss-clean");
 const notificationRoutes = require("./routes/notification.route");
+const invitationRoutes = require("./routes/invitation.route");
+const auditRoutes = require("./routes/audit.route");
+const sessionRoutes = require("./routes/session.route");
+const oidcRoutes = require("./routes/oidc.route");
+const apiKeyRoutes = require("./routes/apiKey.route");
+const impersonationRoutes = require("./routes/impersonation.route");
+const jwksRoutes = require("./routes/jwks.route");
+const roleRoutes = require("./routes/role.route");
+const organizationRoutes = require("./routes/organization.route");
+const curriculumRoutes = require("./routes/curriculum.route");
+const quizRoutes = require("./routes/quiz.route");
+const assignmentRoutes = require("./routes/assignment.route");
+const certificateRoutes = require("./routes/certificate.route");
+const cohortRoutes = require("./routes/cohort.route");
+const enrollmentRoutes = require("./routes/enrollment.route");
 //const hpp = require('hpp');
 //const compression = require('compression');
 //const mongoSanitize = require('express-mongo-sanitize');
@@ -68,13 +83,28 @@ app.get("/", (req, res) => {
 });
 
 // Routes
+app.use(jwksRoutes);
 app.use(
   "/api/v1/",
   authRoutes,
   workshopRoutes,
   courseRoutes,
   userRoutes,
-  notificationRoutes
+  notificationRoutes,
+  invitationRoutes,
+  auditRoutes,
+  sessionRoutes,
+  oidcRoutes,
+  apiKeyRoutes,
+  impersonationRoutes,
+  roleRoutes,
+  organizationRoutes,
+  curriculumRoutes,
+  quizRoutes,
+  assignmentRoutes,
+  certificateRoutes,
+  cohortRoutes,
+  enrollmentRoutes
 );
 
 module.exports = app;
@@ -0,0 +1,172 @@
+const crypto = require("crypto");
+const ApiKey = require("../models/apiKey.model");
+const User = require("../models/user.model");
+const { hashToken } = require("../utils/token");
+const { recordAudit } = require("../utils/audit");
+const authConfig = require("../../config/auth");
+
+const KEY_PREFIX = "sk_";
+
+const activeApiKeysFilter = (userId) => ({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: Date.now() },
+});
+
+// @desc     Get the signed-in user's API keys
+exports.getMyApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find(activeApiKeysFilter(req.user.userId)).sort({
+      createdAt: -1,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "API keys fetched successfully!",
+      apiKeys,
+    });
+  } catch (error) {
+    console.error("Error fetching API keys:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Create an API key, the key itself is only returned once
+exports.createApiKey = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { name, scopes, expiresInDays } = req.body;
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Name and at least one scope are required!" });
+    }
+    const invalidScopes = scopes.filter(
+      (scope) => !authConfig.apiKeyScopes.includes(scope)
+    );
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid scopes: ${invalidScopes.join(", ")}!`,
+      });
+    }
+    const ttlDays =
+      expiresInDays === undefined
+        ? authConfig.apiKeyDefaultTtlDays
+        : parseInt(expiresInDays, 10);
+    if (!ttlDays || ttlDays < 1 || ttlDays > authConfig.apiKeyMaxTtlDays) {
+      return res.status(400).json({
+        success: false,
+        message: `API keys must expire within 1 to ${authConfig.apiKeyMaxTtlDays} days!`,
+      });
+    }
+    const keyCount = await ApiKey.countDocuments(activeApiKeysFilter(userId));
+    if (keyCount >= authConfig.maxApiKeysPerUser) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${authConfig.maxApiKeysPerUser} active API keys!`,
+      });
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString("hex");
+    const apiKey = await ApiKey.create({
+      user: userId,
+      name,
+      prefix: key.slice(0, KEY_PREFIX.length + 8),
+      keyHash: hashToken(key),
+      scopes: [...new Set(scopes)],
+      expiresAt: Date.now() + ttlDays * 24 * 60 * 60 * 1000,
+    });
+
+    await recordAudit(req, {
+      action: "apiKey.created",
+      target: apiKey._id,
+      targetModel: "ApiKey",
+      metadata: { name, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt },
+    });
+
+    const apiKeyWithoutHash = apiKey.toObject();
+    delete apiKeyWithoutHash.keyHash;
+
+    res.status(201).json({
+      success: true,
+      message: "API key created successfully! Copy it now, it will not be shown again.",
+      apiKey: apiKeyWithoutHash,
+      key,
+    });
+  } catch (error) {
+    console.error("Error creating API key:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+const revokeApiKey = async (req, res, userId) => {
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: req.params.keyId, user: userId, revokedAt: null },
+    { revokedAt: Date.now() },
+    { new: true }
+  );
+  if (!apiKey) {
+    return res
+      .status(404)
+      .json({ success: false, message: "API key not found!" });
+  }
+
+  await recordAudit(req, {
+    action: "apiKey.revoked",
+    target: apiKey._id,
+    targetModel: "ApiKey",
+    metadata: { name: apiKey.name, owner: userId },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "API key revoked successfully!",
+    apiKey,
+  });
+};
+
+// @desc     Revoke one of the signed-in user's API keys
+exports.revokeMyApiKey = async (req, res) => {
+  try {
+    await revokeApiKey(req, res, req.user.userId);
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Get any user's active API keys
+exports.getUserApiKeysByAdmin = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const user = await User.findById(userId);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found!" });
+    }
+    const apiKeys = await ApiKey.find(activeApiKeysFilter(userId)).sort({
+      createdAt: -1,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "User API keys fetched successfully!",
+      apiKeys,
+    });
+  } catch (error) {
+    console.error("Error fetching user API keys by admin:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Revoke one of any user's API keys
+exports.revokeUserApiKeyByAdmin = async (req, res) => {
+  try {
+    await revokeApiKey(req, res, req.params.userId);
+  } catch (error) {
+    console.error("Error revoking user API key by admin:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
@@ -0,0 +1,470 @@
+const mongoose = require("mongoose");
+const Assignment = require("../models/assignment.model");
+const Submission = require("../models/submission.model");
+const Notification = require("../models/notification.model");
+const { sendMail } = require("../utils/email.transport");
+const cloudinaryHelper = require("../utils/cloudinaryHelper");
+const { canManageCourse } = require("../middlewares/ownership.middleware");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// work handed in just after the deadline is still on time, to allow for slow uploads
+const LATE_GRACE_MS = 15 * 60 * 1000;
+
+const findAssignment = (courseId, assignmentId) =>
+  mongoose.isValidObjectId(assignmentId)
+    ? Assignment.findOne({ _id: assignmentId, course: courseId })
+    : null;
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Check and normalise the assignment fields sent by an instructor. Returns { fields } or { error }.
+const readAssignmentFields = (body) => {
+  const fields = {};
+  for (const key of ["title", "instructions"]) {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+  }
+  for (const key of ["dueAt", "lateCutoffAt"]) {
+    if (body[key] !== undefined) {
+      fields[key] = body[key] ? new Date(body[key]) : null;
+      if (fields[key] && isNaN(fields[key])) {
+        return { error: `Invalid ${key} date!` };
+      }
+    }
+  }
+  for (const key of ["maxScore", "latePenaltyPercent"]) {
+    if (body[key] !== undefined) {
+      fields[key] = Number(body[key]);
+    }
+  }
+  for (const key of ["allowLateSubmissions", "allowResubmission", "published"]) {
+    if (body[key] !== undefined) {
+      fields[key] = body[key] === true || body[key] === "true";
+    }
+  }
+  if (body.submissionTypes !== undefined) {
+    fields.submissionTypes = [].concat(body.submissionTypes);
+    if (fields.submissionTypes.length === 0) {
+      return { error: "Allow at least one submission type!" };
+    }
+  }
+  if (body.rubric !== undefined) {
+    if (!Array.isArray(body.rubric)) {
+      return { error: "Rubric must be a list!" };
+    }
+    fields.rubric = body.rubric;
+    if (fields.rubric.length > 0) {
+      fields.maxScore = fields.rubric.reduce(
+        (total, criterion) => total + Number(criterion.maxPoints || 0),
+        0
+      );
+    }
+  }
+  return { fields };
+};
+
+const removeUploadedFile = (req) =>
+  req.file?.filename && cloudinaryHelper.deleteFromCloudinary(req.file.filename);
+
+// @desc     List a course's assignments, with the learner's submission or, for instructors, every assignment
+exports.getCourseAssignments = async (req, res) => {
+  try {
+    // loaded by authorizeCourseLearner
+    const course = req.course;
+    if (!req.registration && (await canManageCourse(req.user, course))) {
+      const assignments = await Assignment.find({ course: course._id }).sort({
+        dueAt: 1,
+      });
+      return res.status(200).json({
+        success: true,
+        message: "Assignments fetched successfully!",
+        assignments,
+      });
+    }
+
+    const [assignments, submissions] = await Promise.all([
+      Assignment.find({ course: course._id, published: true }).sort({ dueAt: 1 }),
+      Submission.find({ course: course._id, user: req.user.userId }).select(
+        "-history"
+      ),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Assignments fetched successfully!",
+      assignments: assignments.map((assignment) => ({
+        ...assignment.toObject(),
+        submission:
+          submissions.find(
+            (submission) =>
+              submission.assignment.toString() === assignment._id.toString()
+          ) || null,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching assignments:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Create an assignment
+exports.createAssignment = async (req, res) => {
+  try {
+    const { fields, error } = readAssignmentFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (!fields.title || !fields.dueAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Assignment title and due date are required!",
+      });
+    }
+    // loaded by authorizeCourseOwner
+    const assignment = await Assignment.create({
+      ...fields,
+      course: req.course._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Assignment created successfully!",
+      assignment,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error("Error creating assignment:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Update an assignment, grades already given are kept
+exports.updateAssignment = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const assignment = await findAssignment(req.course._id, assignmentId);
+    if (!assignment) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Assignment not found!" });
+    }
+    const { fields, error } = readAssignmentFields(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    assignment.set(fields);
+    await assignment.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Assignment updated successfully!",
+      assignment,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error("Error updating assignment:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Delete an assignment and its submissions
+exports.deleteAssignment = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const assignment = await findAssignment(req.course._id, assignmentId);
+    if (!assignment) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Assignment not found!" });
+    }
+    const submissions = await Submission.find({ assignment: assignment._id });
+    for (const submission of submissions) {
+      for (const version of [submission, ...submission.history]) {
+        await cloudinaryHelper.deleteFromCloudinary(version.filePublicId);
+      }
+    }
+    await Submission.deleteMany({ assignment: assignment._id });
+    await assignment.deleteOne();
+
+    res
+      .status(200)
+      .json({ success: true, message: "Assignment deleted successfully!" });
+  } catch (error) {
+    console.error("Error deleting assignment:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Hand in work for an assignment, or replace an earlier submission
+exports.submitAssignment = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const { url, note } = req.body;
+    if (!req.registration) {
+      await removeUploadedFile(req);
+      return res.status(403).json({
+        success: false,
+        message: "Only registered learners can submit assignments!",
+      });
+    }
+    const assignment = await findAssignment(req.course._id, assignmentId);
+    if (!assignment || !assignment.published) {
+      await removeUploadedFile(req);
+      return res
+        .status(404)
+        .json({ success: false, message: "Assignment not found!" });
+    }
+
+    const rejection = (() => {
+      if (req.file && !assignment.submissionTypes.includes("file")) {
+        return "This assignment does not accept file uploads!";
+      }
+      if (url && !assignment.submissionTypes.includes("url")) {
+        return "This assignment does not accept links!";
+      }
+      if (!req.file && !url) {
+        return "Upload a file or send a link to your work!";
+      }
+      if (url && !isHttpUrl(url)) {
+        return "A valid URL is required!";
+      }
+      return null;
+    })();
+    if (rejection) {
+      await removeUploadedFile(req);
+      return res.status(400).json({ success: false, message: rejection });
+    }
+
+    const now = new Date();
+    const daysLate = Math.max(
+      Math.ceil((now - assignment.dueAt - LATE_GRACE_MS) / DAY_MS),
+      0
+    );
+    if (
+      daysLate > 0 &&
+      (!assignment.allowLateSubmissions ||
+        (assignment.lateCutoffAt && now > assignment.lateCutoffAt))
+    ) {
+      await removeUploadedFile(req);
+      return res.status(400).json({
+        success: false,
+        message: "Submissions for this assignment are closed!",
+      });
+    }
+
+    const work = {
+      fileUrl: req.file?.path || "",
+      filePublicId: req.file?.filename || "",
+      url: url || "",
+      note: note || "",
+      submittedAt: now,
+      daysLate,
+    };
+
+    let submission = await Submission.findOne({
+      assignment: assignment._id,
+      user: req.user.userId,
+    });
+    if (submission) {
+      if (!assignment.allowResubmission) {
+        await removeUploadedFile(req);
+        return res.status(400).json({
+          success: false,
+          message: "You have already submitted this assignment!",
+        });
+      }
+      submission.history.push({
+        version: submission.version,
+        fileUrl: submission.fileUrl,
+        filePublicId: submission.filePublicId,
+        url: submission.url,
+        note: submission.note,
+        submittedAt: submission.submittedAt,
+        daysLate: submission.daysLate,
+        grade: submission.grade,
+      });
+      submission.set({
+        ...work,
+        status: "submitted",
+        grade: null,
+        version: submission.version + 1,
+      });
+      await submission.save();
+    } else {
+      submission = await Submission.create({
+        ...work,
+        assignment: assignment._id,
+        course: req.course._id,
+        user: req.user.userId,
+      });
+    }
+
+    res.status(submission.version > 1 ? 200 : 201).json({
+      success: true,
+      message:
+        daysLate > 0
+          ? `Assignment submitted ${daysLate} day(s) late!`
+          : "Assignment submitted successfully!",
+      submission,
+    });
+  } catch (error) {
+    // another submission for this assignment was saved at the same time
+    if (error.code === 11000) {
+      await removeUploadedFile(req);
+      return res.status(409).json({
+        success: false,
+        message: "This assignment is already being submitted, try again!",
+      });
+    }
+    console.error("Error submitting assignment:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     List the submissions for an assignment
+exports.getAssignmentSubmissions = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const assignment = await findAssignment(req.course._id, assignmentId);
+    if (!assignment) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Assignment not found!" });
+    }
+    const filter = { assignment: assignment._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+    const submissions = await Submission.find(filter)
+      .populate("user", "firstName lastName email userImage")
+      .sort({ submittedAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Submissions fetched successfully!",
+      assignment,
+      submissions,
+    });
+  } catch (error) {
+    console.error("Error fetching submissions:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Grade a submission and let the learner know
+exports.gradeSubmission = async (req, res) => {
+  try {
+    const { assignmentId, submissionId } = req.params;
+    const { rubricScores, score, feedback } = req.body;
+    const assignment = await findAssignment(req.course._id, assignmentId);
+    const submission =
+      assignment &&
+      mongoose.isValidObjectId(submissionId) &&
+      (await Submission.findOne({
+        _id: submissionId,
+        assignment: assignment._id,
+      }).populate("user", "firstName email"));
+    if (!submission) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Submission not found!" });
+    }
+
+    let rawScore;
+    let scores = [];
+    if (assignment.rubric.length > 0) {
+      if (!Array.isArray(rubricScores)) {
+        return res.status(400).json({
+          success: false,
+          message: "Score every rubric criterion!",
+        });
+      }
+      scores = assignment.rubric.map((criterion) => {
+        const given = rubricScores.find(
+          (entry) => String(entry.criterion) === criterion._id.toString()
+        );
+        return {
+          criterion: criterion._id,
+          points: Number(given?.points),
+          maxPoints: criterion.maxPoints,
+        };
+      });
+      const invalid = scores.find(
+        (entry) => !(entry.points >= 0 && entry.points <= entry.maxPoints)
+      );
+      if (invalid) {
+        return res.status(400).json({
+          success: false,
+          message: "Every rubric criterion needs a score between 0 and its maximum!",
+        });
+      }
+      rawScore = scores.reduce((total, entry) => total + entry.points, 0);
+    } else {
+      rawScore = Number(score);
+      if (!(rawScore >= 0 && rawScore <= assignment.maxScore)) {
+        return res.status(400).json({
+          success: false,
+          message: `Score must be between 0 and ${assignment.maxScore}!`,
+        });
+      }
+    }
+
+    const penaltyPercent = Math.min(
+      submission.daysLate * assignment.latePenaltyPercent,
+      100
+    );
+    submission.grade = {
+      rubricScores: scores.map(({ criterion, points }) => ({ criterion, points })),
+      rawScore,
+      penaltyPercent,
+      score: Math.round(rawScore * (100 - penaltyPercent)) / 100,
+      feedback,
+      gradedBy: req.user.userId,
+      gradedAt: new Date(),
+    };
+    submission.status = "graded";
+    await submission.save();
+
+    // the grade is kept even if the learner's account has since been deleted
+    const learner = submission.user;
+    if (learner) {
+      const gradeMessage = `Your submission for "${assignment.title}" in ${req.course.title} was graded: ${submission.grade.score}/${assignment.maxScore}.`;
+      await Notification.create({
+        userId: learner._id,
+        type: "assignment",
+        message: `${assignment.title} was graded for ${learner.firstName}.`,
+        userMessage: gradeMessage,
+        organization: req.course.organization,
+      });
+      try {
+        await sendMail({
+          email: learner.email,
+          subject: `${req.course.title}: your assignment was graded`,
+          text: `Hi ${learner.firstName},\n\n${gradeMessage}${feedback ? `\n\nFeedback:\n${feedback}` : ""}`,
+        });
+      } catch (error) {
+        console.error("Error emailing grade notification:", error);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Submission graded successfully!",
+      submission,
+    });
+  } catch (error) {
+    console.error("Error grading submission:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
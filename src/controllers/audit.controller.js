@@ -0,0 +1,41 @@
+const AuditLog = require("../models/auditLog.model");
+
+// @desc     Get the audit trail of privileged actions
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.action) {
+      filter.action = req.query.action;
+    }
+    if (req.query.actor) {
+      filter.actor = req.query.actor;
+    }
+
+    const total = await AuditLog.countDocuments(filter);
+    const auditLogs = await AuditLog.find(filter)
+      .populate("actor", "firstName lastName email role")
+      .skip(skip)
+      .limit(limit)
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Audit logs fetched successfully!",
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalAuditLogs: total,
+      hasNextPage: page * limit < total,
+      hasPrevPage: page > 1,
+      nextPage: page + 1,
+      prevPage: page - 1 > 0 ? page - 1 : null,
+      auditLogs,
+    });
+  } catch (error) {
+    console.error("Error fetching audit logs:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
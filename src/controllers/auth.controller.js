@@ -1,15 +1,82 @@
 const User = require('../models/user.model');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const Notification = require('../models/notification.model');
 const { sendMail } = require('../utils/email.transport');
 const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
+const RefreshToken = require('../models/refreshToken.model');
+const mongoose = require('mongoose');
+const Session = require('../models/session.model');
+const { issueAuthTokens, hashToken, revokeSession, revokeAllSessions, clearAuthCookies, signChallengeToken, verifyChallengeToken, getCsrfToken } = require('../utils/token');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { validatePassword, setPassword, describePolicy } = require('../utils/passwordPolicy');
+const { getIpRetryAfter, recordIpFailure, getAccountThrottle, recordAccountFailure, clearAccountLockout } = require('../utils/loginProtection');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const authConfig = require('../../config/auth');
+
+// fields that must never be sent back with the user
+const privateUserFields = [
+  'password',
+  'passwordHistory',
+  'twoFactorSecret',
+  'twoFactorPendingSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastUsedStep',
+  'unlockToken',
+  'unlockTokenExpiry',
+  'magicLinkToken',
+  'magicLinkTokenExpiry'
+];
+
+// issue the tokens and send the same response for every way of signing in
+const completeSignIn = async (req, res, existingUser, extra = {}) => {
+  const user = existingUser.toObject();
+  privateUserFields.forEach((field) => delete user[field]);
+
+  // generate access and refresh tokens and set them as secure HTTP-only cookies
+  const { accessToken, refreshToken, csrfToken } = await issueAuthTokens(req, res, existingUser);
+
+  res.status(200).json({ success: true, message: "User signed in successfully!", user, token: accessToken, refreshToken, csrfToken, ...extra });
+}
+
+// once the first factor is proven, ask for the second one or sign the user in
+const continueSignIn = async (req, res, existingUser) => {
+  // users enrolled in 2FA finish signing in at /auth/2fa/verify
+  if (existingUser.twoFactorEnabled) {
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication required!",
+      twoFactorRequired: true,
+      challengeToken: await signChallengeToken(existingUser, "2fa")
+    });
+  }
+  // admins must enroll before they get a session when 2FA is mandatory
+  if (authConfig.requireAdminTwoFactor && existingUser.role === 'admin') {
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication setup required!",
+      twoFactorSetupRequired: true,
+      challengeToken: await signChallengeToken(existingUser, "2fa-setup")
+    });
+  }
+
+  await completeSignIn(req, res, existingUser);
+}
+
+// recovery codes are shown once as xxxxx-xxxxx and only their hashes are stored
+const generateRecoveryCodes = () => {
+  return Array.from({ length: authConfig.twoFactorRecoveryCodeCount }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
+
+const hashRecoveryCode = (code) => hashToken(String(code).replace(/[\s-]/g, '').toLowerCase());
 
 // @desc    Register a new user
 exports.register = async (req, res) => {
   try {
-    const { firstName, lastName, email, password, role } = req.body;
+    const { firstName, lastName, email, password } = req.body;
     // validation
     if (!firstName || !lastName || !email || !password) {
       return res.status(400).json({ success: false, message: "All fields are required!" });
@@ -19,17 +86,20 @@ exports.register = async (req, res) => {
     if (existingUser) {
       return res.status(400).json({ success: false, message: "User already exists!" });
     }
-    // hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    // check password against the password policy
+    const violations = await validatePassword(password, { firstName, lastName, email });
+    if (violations.length > 0) {
+      return res.status(400).json({ success: false, message: "Password does not meet the requirements!", violations });
+    }
     // create new user
     const newUser = new User({
       firstName,
       lastName,
       email,
-      password: hashedPassword,
-      role
+      role: 'user' // admins are only created through invitations
     })
+    // hash password
+    await setPassword(newUser, password);
     // check if user is created successfully
     if (!newUser) {
       return res.status(400).json({ success: false, message: "User not created!" });
@@ -50,13 +120,71 @@ exports.register = async (req, res) => {
       return res.status(400).json({ success: false, message: "Notification not sent!" });
     }
 
-    res.status(201).json({ success: true, message: "User registered successfully!", user: userWithoutPassword });
+    // the account is created even if the email fails, the user can ask for a new link
+    try {
+      await sendVerificationEmail(savedUser);
+    } catch (err) {
+      console.error("Error in sending verification email: ", err);
+    }
+
+    res.status(201).json({ success: true, message: "User registered successfully! Please check your email to verify your account.", user: userWithoutPassword });
   } catch (err) {
     console.error("Error in registering user: ", err);
     res.status(500).json({ success: false, message: "Internal Server Error" });
   }
 }
 
+// @desc    verify email address
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+    // validation
+    if (!token) {
+      return res.status(400).json({ success: false, message: "Verification token is required!" });
+    }
+    const existingUser = await User.findOne({
+      emailVerificationToken: hashToken(token),
+      emailVerificationTokenExpiry: { $gt: Date.now() }
+    });
+    if (!existingUser) {
+      return res.status(400).json({ success: false, message: "Invalid or expired verification token!" });
+    }
+    existingUser.emailVerified = true;
+    existingUser.emailVerificationToken = undefined; // remove verification token
+    existingUser.emailVerificationTokenExpiry = undefined; // remove verification token expiry
+    await existingUser.save();
+
+    res.status(200).json({ success: true, message: "Email verified successfully!" });
+  } catch (err) {
+    console.log("Error in verifying email:", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+}
+
+// @desc    resend email verification link
+exports.resendVerification = async (req, res) => {
+  try {
+    const { email } = req.body;
+    // validation
+    if (!email) {
+      return res.status(400).json({ success: false, message: "Email is required!" });
+    }
+    const existingUser = await User.findOne({ email });
+    if (!existingUser) {
+      return res.status(400).json({ success: false, message: "User does not exist!" });
+    }
+    if (existingUser.emailVerified) {
+      return res.status(400).json({ success: false, message: "Email is already verified!" });
+    }
+    await sendVerificationEmail(existingUser);
+
+    res.status(200).json({ success: true, message: "Verification link sent to your email!" });
+  } catch (err) {
+    console.log("Error in resending verification email:", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+}
+
 // @desc    sign in user
 exports.signIn = async (req, res) => {
   try {
@@ -65,60 +193,360 @@ exports.signIn = async (req, res) => {
     if (!email || !password) {
       return res.status(400).json({ success: false, message: "All fields are required!" });
     };
+    // block IP addresses with too many failed attempts across accounts
+    const ipRetryAfter = await getIpRetryAfter(req.ip);
+    if (ipRetryAfter > 0) {
+      res.set("Retry-After", String(ipRetryAfter));
+      return res.status(429).json({ success: false, message: "Too many failed sign-in attempts from this IP, please try again later.", retryAfter: ipRetryAfter });
+    }
     /// check if user exists
     const existingUser = await User.findOne({ email }).select("+password");
     if (!existingUser) {
+      await recordIpFailure(req.ip);
       return res.status(400).json({ success: false, message: "User does not exist!" });
     }
+    // locked accounts and accounts waiting out a delay are rejected before the password is checked
+    const { locked, retryAfter } = getAccountThrottle(existingUser);
+    if (locked) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(423).json({ success: false, message: "Account locked after too many failed sign-in attempts. Check your email to unlock it or try again later.", retryAfter });
+    }
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({ success: false, message: `Too many failed sign-in attempts. Please wait ${retryAfter} seconds and try again.`, retryAfter });
+    }
+    // accounts created through social sign-in have no password until they reset one
+    if (!existingUser.password) {
+      return res.status(400).json({ success: false, message: "This account signs in with a social provider. Use it or reset your password to set one." });
+    }
     // check password
     const isPasswordValid = await bcrypt.compare(password, existingUser.password);
     if (!isPasswordValid) {
+      await recordIpFailure(req.ip);
+      await recordAccountFailure(existingUser);
       return res.status(400).json({ success: false, message: "User does not exist!" });
     }
-    // generate token
-    const accessToken = jwt.sign({ 
-      id: existingUser._id, 
-      email: existingUser.email, 
-      role: existingUser.role, 
-      tokenVersion: existingUser.tokenVersion 
-    }, 
-    process.env.PRIVATE_KEY, { expiresIn : "1d" });
-    // check if token is generated successfully
-    if (!accessToken) {
-      return res.status(400).json({ success: false, message: "Token not generated!" });
-    }
-
-    // remove password from user object
-    const { password: _ , ...userObject } = existingUser._doc; 
-    const user = { ...userObject };
-    // ALT 
-    // const userObject = existingUser.toObject();
-    // delete userObject.password;
-
-    // set secure HTTP-only cookie
-    res.cookie("accessToken", accessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "None",
-      maxAge: 24 * 60 * 60 * 1000 // 1 day
-    });
-
-    res.status(200).json({ success: true, message: "User signed in successfully!", user, token: accessToken });
+    if (existingUser.failedLoginAttempts > 0 || existingUser.lockUntil) {
+      await clearAccountLockout(existingUser._id);
+    }
+    await continueSignIn(req, res, existingUser);
   } catch (err) {
     console.log("Error in signing in user: ", err);
     res.status(500).json({ success: false, message: "Internal Server Error" });
   }
 } 
 
+// @desc    email a single-use sign-in link
+exports.requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+    // validation
+    if (!email) {
+      return res.status(400).json({ success: false, message: "Email is required!" });
+    }
+    // check if user exists
+    const existingUser = await User.findOne({ email });
+    if (!existingUser) {
+      return res.status(400).json({ success: false, message: "User does not exist!" });
+    }
+    // generate sign-in token
+    const magicLinkToken = crypto.randomBytes(32).toString('hex');
+    existingUser.magicLinkToken = hashToken(magicLinkToken);
+    existingUser.magicLinkTokenExpiry = Date.now() + authConfig.magicLinkTtlMinutes * 60 * 1000;
+    await existingUser.save();
+
+    const magicLink = `${process.env.FRONTEND_URL}/magic-link/${magicLinkToken}`;
+    await sendMail({
+      email,
+      subject: "Your SkillitGH Sign-in Link",
+      html: `
+        <h2>Sign in to SkillitGH</h2>
+        <p>Click the link below to sign in. This link can only be used once and will expire in ${authConfig.magicLinkTtlMinutes} minutes.</p>
+        <a href="${magicLink}" style="text-decoration: none;">
+          <button style="background-color: #4CAF50; color: white; padding: 10px 20px; border: none; border-radius: 5px; cursor: pointer;">
+            Sign In
+          </button>
+        </a>
+        <p>If you did not request this, please ignore this email.</p>
+      `,
+    });
+
+    res.status(200).json({ success: true, message: "Sign-in link sent to your email!" });
+  } catch (err) {
+    console.log("Error in sending magic link:", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+}
+
+// @desc    sign in with a magic link
+exports.verifyMagicLink = async (req, res) => {
+  try {
+    const { token } = req.body;
+    // validation
+    if (!token) {
+      return res.status(400).json({ success: false, message: "Sign-in token is required!" });
+    }
+    // consume the token atomically so the link only works once
+    const existingUser = await User.findOneAndUpdate(
+      { magicLinkToken: hashToken(token), magicLinkTokenExpiry: { $gt: Date.now() } },
+      { magicLinkToken: null, magicLinkTokenExpiry: null },
+      { new: true }
+    );
+    if (!existingUser) {
+      return res.status(400).json({ success: false, message: "Invalid or expired sign-in link!" });
+    }
+    // the link was delivered to this address
+    if (!existingUser.emailVerified) {
+      existingUser.emailVerified = true;
+      await existingUser.save();
+    }
+
+    await continueSignIn(req, res, existingUser);
+  } catch (err) {
+    console.log("Error in verifying magic link:", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+}
+
+// @desc    unlock an account from the lockout email
+exports.unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.body;
+    // validation
+    if (!token) {
+      return res.status(400).json({ success: false, message: "Unlock token is required!" });
+    }
+    const existingUser = await User.findOne({
+      unlockToken: hashToken(token),
+      unlockTokenExpiry: { $gt: Date.now() }
+    });
+    if (!existingUser) {
+      return res.status(400).json({ success: false, message: "Invalid or expired unlock token!" });
+    }
+    await clearAccountLockout(existingUser._id);
+
+    res.status(200).json({ success: true, message: "Account unlocked successfully! You can now sign in." });
+  } catch (err) {
+    console.log("Error in unlocking account:", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+}
+
+// @desc    start two-factor enrollment
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const existingUser = await User.findById(userId);
+    if (!existingUser) {
+      return res.status(404).json({ success: false, message: "User not found!" });
+    }
+    if (existingUser.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: "Two-factor authentication is already enabled!" });
+    }
+    const secret = generateSecret();
+    existingUser.twoFactorPendingSecret = secret;
+    await existingUser.save();
+
+    const otpauthUri = buildOtpauthUri({ secret, label: existingUser.email, issuer: authConfig.twoFactorIssuer });
+
+    res.status(200).json({ success: true, message: "Scan the code with your authenticator app and confirm a code to finish!", secret, otpauthUri });
+  } catch (err) {
+    console.log("Error in setting up two-factor authentication: ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+}
+
+// @desc    confirm two-factor enrollment with a first code
+exports.confirmTwoFactor = async (req, res) => {
+  try {
+    const { userId, setupChallenge } = req.user;
+    const { code } = req.body;
+    // validation
+    if (!code) {
+      return res.status(400).json({ success: false, message: "Authentication code is required!" });
+    }
+    const existingUser = await User.findById(userId).select("+twoFactorPendingSecret");
+    if (!existingUser) {
+      return res.status(404).json({ success: false, message: "User not found!" });
+    }
+    if (!existingUser.twoFactorPendingSecret) {
+      return res.status(400).json({ success: false, message: "Please start two-factor setup first!" });
+    }
+    const step = verifyTotp(existingUser.twoFactorPendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ success: false, message: "Invalid authentication code!" });
+    }
+    const recoveryCodes = generateRecoveryCodes();
+    existingUser.twoFactorSecret = existingUser.twoFactorPendingSecret;
+    existingUser.twoFactorPendingSecret = undefined;
+    existingUser.twoFactorEnabled = true;
+    existingUser.twoFactorLastUsedStep = step;
+    existingUser.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    await existingUser.save();
+
+    // enrolling with a setup challenge finishes the sign-in it came from
+    if (setupChallenge) {
+      return completeSignIn(req, res, existingUser, { recoveryCodes });
+    }
+    res.status(200).json({ success: true, message: "Two-factor authentication enabled successfully!", recoveryCodes });
+  } catch (err) {
+    console.log("Error in confirming two-factor authentication: ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+}
+
+// @desc    finish signing in with an authenticator or recovery code
+exports.verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    // validation
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ success: false, message: "Challenge token and authentication code are required!" });
+    }
+    const decoded = await verifyChallengeToken(challengeToken, "2fa");
+    if (!decoded) {
+      return res.status(401).json({ success: false, message: "Invalid or expired challenge! Please log in again." });
+    }
+    const existingUser = await User.findById(decoded.id).select("+twoFactorSecret +twoFactorLastUsedStep");
+    if (!existingUser || !existingUser.twoFactorEnabled || existingUser.tokenVersion !== decoded.tokenVersion) {
+      return res.status(401).json({ success: false, message: "Access denied! Please log in again." });
+    }
+
+    const extra = {};
+    if (code) {
+      const step = verifyTotp(existingUser.twoFactorSecret, code, { lastUsedStep: existingUser.twoFactorLastUsedStep });
+      // record the step atomically so the same code can't be used twice
+      const accepted = step !== null && await User.updateOne(
+        { _id: existingUser._id, twoFactorLastUsedStep: { $lt: step } },
+        { twoFactorLastUsedStep: step }
+      );
+      if (!accepted || accepted.modifiedCount === 0) {
+        return res.status(400).json({ success: false, message: "Invalid authentication code!" });
+      }
+    } else {
+      const hashedCode = hashRecoveryCode(recoveryCode);
+      const updatedUser = await User.findOneAndUpdate(
+        { _id: existingUser._id, twoFactorRecoveryCodes: hashedCode },
+        { $pull: { twoFactorRecoveryCodes: hashedCode } },
+        { new: true }
+      ).select("+twoFactorRecoveryCodes");
+      if (!updatedUser) {
+        return res.status(400).json({ success: false, message: "Invalid recovery code!" });
+      }
+      extra.recoveryCodesRemaining = updatedUser.twoFactorRecoveryCodes.length;
+    }
+
+    await completeSignIn(req, res, existingUser, extra);
+  } catch (err) {
+    console.log("Error in verifying two-factor authentication: ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+}
+
+// @desc    disable two-factor authentication
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { password, code } = req.body;
+    // validation
+    if (!password || !code) {
+      return res.status(400).json({ success: false, message: "All fields are required!" });
+    }
+    const existingUser = await User.findById(userId).select("+password +twoFactorSecret +twoFactorLastUsedStep");
+    if (!existingUser) {
+      return res.status(404).json({ success: false, message: "User not found!" });
+    }
+    if (!existingUser.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: "Two-factor authentication is not enabled!" });
+    }
+    if (authConfig.requireAdminTwoFactor && existingUser.role === 'admin') {
+      return res.status(403).json({ success: false, message: "Two-factor authentication is mandatory for admin accounts!" });
+    }
+    const isPasswordValid = !!existingUser.password && await bcrypt.compare(password, existingUser.password);
+    const step = verifyTotp(existingUser.twoFactorSecret, code, { lastUsedStep: existingUser.twoFactorLastUsedStep });
+    if (!isPasswordValid || step === null) {
+      return res.status(400).json({ success: false, message: "Invalid password or authentication code!" });
+    }
+    existingUser.twoFactorEnabled = false;
+    existingUser.twoFactorSecret = undefined;
+    existingUser.twoFactorRecoveryCodes = [];
+    existingUser.twoFactorLastUsedStep = -1;
+    await existingUser.save();
+
+    res.status(200).json({ success: true, message: "Two-factor authentication disabled successfully!" });
+  } catch (err) {
+    console.log("Error in disabling two-factor authentication: ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+}
+
+// @desc    replace all recovery codes
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { code } = req.body;
+    // validation
+    if (!code) {
+      return res.status(400).json({ success: false, message: "Authentication code is required!" });
+    }
+    const existingUser = await User.findById(userId).select("+twoFactorSecret +twoFactorLastUsedStep");
+    if (!existingUser || !existingUser.twoFactorEnabled) {
+      return res.status(400).json({ success: false, message: "Two-factor authentication is not enabled!" });
+    }
+    const step = verifyTotp(existingUser.twoFactorSecret, code, { lastUsedStep: existingUser.twoFactorLastUsedStep });
+    if (step === null) {
+      return res.status(400).json({ success: false, message: "Invalid authentication code!" });
+    }
+    const recoveryCodes = generateRecoveryCodes();
+    existingUser.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+    existingUser.twoFactorLastUsedStep = step;
+    await existingUser.save();
+
+    res.status(200).json({ success: true, message: "Recovery codes regenerated successfully!", recoveryCodes });
+  } catch (err) {
+    console.log("Error in regenerating recovery codes: ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+}
+
+// @desc    get the password policy
+exports.getPasswordPolicy = async (req, res) => {
+  try {
+    res.status(200).json({ success: true, message: "Password policy fetched successfully!", policy: describePolicy() });
+  } catch (err) {
+    console.log("Error in fetching password policy: ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+}
+
+// @desc    get the CSRF token for the current session
+exports.getCsrfToken = async (req, res) => {
+  try {
+    const { sessionId } = req.user;
+    if (!sessionId) {
+      return res.status(400).json({ success: false, message: "CSRF tokens are only issued for browser sessions!" });
+    }
+    const csrfToken = await getCsrfToken(sessionId);
+    res.status(200).json({ success: true, message: "CSRF token fetched successfully!", csrfToken });
+  } catch (err) {
+    console.log("Error in fetching CSRF token: ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+}
+
 // @desc    sign out user
 
 exports.signOut = async (req, res) => {
   try {
-    res.clearCookie("accessToken", {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "None",
-    });
+    const refreshToken = req.cookies.refreshToken || req.body?.refreshToken;
+    // revoke the session and every refresh token rotated from the same sign-in
+    if (refreshToken) {
+      const existingToken = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+      if (existingToken) {
+        await revokeSession(existingToken.family);
+      }
+    }
+    clearAuthCookies(res);
     res.status(200).json({ success: true, message: "User signed out successfully!" });
   } catch (err) {
     console.log("Error in signing out user: ", err);
@@ -126,6 +554,54 @@ exports.signOut = async (req, res) => {
   }
 }
 
+// @desc    refresh access token
+exports.refreshToken = async (req, res) => {
+  try {
+    const refreshToken = req.cookies.refreshToken || req.body?.refreshToken;
+    if (!refreshToken) {
+      return res.status(401).json({ success: false, message: "Refresh token is required!" });
+    }
+    const tokenHash = hashToken(refreshToken);
+    // claim the token atomically so it can only be rotated once
+    const existingToken = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null },
+      { revokedAt: Date.now() },
+      { new: true }
+    );
+    if (!existingToken) {
+      // a revoked token being presented again means it was stolen: revoke the whole session
+      const reusedToken = await RefreshToken.findOne({ tokenHash });
+      if (reusedToken) {
+        await revokeSession(reusedToken.family);
+      }
+      clearAuthCookies(res);
+      return res.status(401).json({ success: false, message: "Invalid refresh token! Please log in again." });
+    }
+    if (existingToken.expiresAt < Date.now()) {
+      clearAuthCookies(res);
+      return res.status(401).json({ success: false, message: "Refresh token expired! Please log in again." });
+    }
+    // the session may have been revoked from another device
+    const session = mongoose.isValidObjectId(existingToken.family) && await Session.findById(existingToken.family);
+    // a bumped tokenVersion logs the user out everywhere
+    const user = await User.findById(existingToken.user);
+    if (!session || session.revokedAt || !user || user.tokenVersion !== existingToken.tokenVersion) {
+      await revokeSession(existingToken.family);
+      clearAuthCookies(res);
+      return res.status(401).json({ success: false, message: "Access denied! Please log in again." });
+    }
+
+    const tokens = await issueAuthTokens(req, res, user, { sessionId: session._id });
+    existingToken.replacedBy = hashToken(tokens.refreshToken);
+    await existingToken.save();
+
+    res.status(200).json({ success: true, message: "Access token refreshed successfully!", token: tokens.accessToken, refreshToken: tokens.refreshToken, csrfToken: tokens.csrfToken });
+  } catch (err) {
+    console.log("Error in refreshing token: ", err);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+}
+
 // @desc    forgot password
 exports.forgotPassword = async (req, res) => {
   try {
@@ -202,22 +678,25 @@ exports.resetPassword = async (req, res) => {
     // const existingUser = await User.findById(decoded.id).select("+password");
 
     const hashedToken = crypto.createHash('sha256').update(resetToken).digest('hex');
-    const existingUser = await User.findOne({ resetToken: hashedToken, resetTokenExpiry: { $gt: Date.now() } }).select("+password");
+    const existingUser = await User.findOne({ resetToken: hashedToken, resetTokenExpiry: { $gt: Date.now() } }).select("+password +passwordHistory");
 
     // check if user exists
     if (!existingUser) {
       return res.status(400).json({ success: false, message: "User does not exist!" });
     }
-    // hash new password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(newPassword, salt);
-    // update password
-    existingUser.password = hashedPassword;
+    // check new password against the password policy
+    const violations = await validatePassword(newPassword, { user: existingUser });
+    if (violations.length > 0) {
+      return res.status(400).json({ success: false, message: "Password does not meet the requirements!", violations });
+    }
+    // hash and update password
+    await setPassword(existingUser, newPassword);
     existingUser.resetToken = undefined; // remove reset token
     existingUser.resetTokenExpiry = undefined; // remove reset token expiry
     existingUser.tokenVersion += 1; // increment token version
     // save user to db
     await existingUser.save();
+    await revokeAllSessions(existingUser._id);
     
     res.status(200).json({ success: true, message: "Password reset successfully!" });
   } catch (err) {
@@ -236,23 +715,29 @@ exports.changePassword = async (req, res) => {
       return res.status(400).json({ success: false, message: "All fields are required!" });
     }
     // check if user exists
-    const existingUser = await User.findById(userId).select("+password");
+    const existingUser = await User.findById(userId).select("+password +passwordHistory");
     if (!existingUser) {
       return res.status(400).json({ success: false, message: "User does not exist!" });
     }
+    if (!existingUser.password) {
+      return res.status(400).json({ success: false, message: "This account has no password yet. Use forgot password to set one." });
+    }
     // check password
     const isPasswordValid = await bcrypt.compare(oldPassword, existingUser.password);
     if (!isPasswordValid) {
       return res.status(400).json({ success: false, message: "Invalid password!" });
     }
-    // hash new password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(newPassword, salt);
-    // update password
-    existingUser.password = hashedPassword || existingUser.password;
+    // check new password against the password policy
+    const violations = await validatePassword(newPassword, { user: existingUser });
+    if (violations.length > 0) {
+      return res.status(400).json({ success: false, message: "Password does not meet the requirements!", violations });
+    }
+    // hash and update password
+    await setPassword(existingUser, newPassword);
     existingUser.tokenVersion += 1; // increment token version
     // save user to db
     await existingUser.save();
+    await revokeAllSessions(existingUser._id);
     
     res.status(200).json({ success: true, message: "Password changed successfully!" });
   } catch (err) {
@@ -267,4 +752,28 @@ exports.forgotPasswordLimiter = rateLimit({
   message: "Too many requests from this IP, please try again later.",
   standardHeaders: true,
   legacyHeaders: false,
-})
\ No newline at end of file
+})
+
+exports.verificationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // Limit each IP to 5 requests per windowMs
+  message: "Too many requests from this IP, please try again later.",
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
+exports.twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // Limit each IP to 10 requests per windowMs
+  message: "Too many requests from this IP, please try again later.",
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
+exports.magicLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // Limit each IP to 5 requests per windowMs
+  message: "Too many requests from this IP, please try again later.",
+  standardHeaders: true,
+  legacyHeaders: false,
+})
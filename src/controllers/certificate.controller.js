@@ -0,0 +1,276 @@
+const mongoose = require("mongoose");
+const Certificate = require("../models/certificate.model");
+const Course = require("../models/course.model");
+const Workshop = require("../models/workshop.model");
+const User = require("../models/user.model");
+const certificateConfig = require("../../config/certificates");
+const { hasPermissions } = require("../utils/permissions");
+const { recordAudit } = require("../utils/audit");
+const {
+  courseCertificateBlocker,
+  workshopCertificateBlocker,
+  issueCertificate,
+  renderCertificatePdf,
+} = require("../utils/certificates");
+
+const verifyUrlFor = (req, serial) =>
+  `${req.protocol}://${req.get("host")}/api/v1/certificates/${encodeURIComponent(serial)}/verify`;
+
+// Answer a claim with the certificate issued now, the one issued before, or why it can't be issued
+const respondWithClaim = async (res, user, subject) => {
+  const { certificate, created } = await issueCertificate(user, subject);
+  if (certificate.revokedAt) {
+    return res.status(403).json({
+      success: false,
+      message: "Your certificate was revoked and cannot be issued again!",
+    });
+  }
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created
+      ? "Certificate issued successfully!"
+      : "Certificate already issued!",
+    certificate,
+  });
+};
+
+// @desc     Claim the certificate for a completed course
+exports.claimCourseCertificate = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    if (!mongoose.isValidObjectId(courseId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid course ID!" });
+    }
+    const [course, user] = await Promise.all([
+      Course.findById(courseId),
+      User.findById(req.user.userId),
+    ]);
+    if (!course) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Course not found!" });
+    }
+    const blocker = await courseCertificateBlocker(user._id, course);
+    if (blocker) {
+      return res.status(400).json({ success: false, message: blocker });
+    }
+
+    await respondWithClaim(res, user, { course });
+  } catch (error) {
+    console.error("Error issuing course certificate:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Claim the certificate of attendance for a workshop
+exports.claimWorkshopCertificate = async (req, res) => {
+  try {
+    const { workshopId } = req.params;
+    if (!mongoose.isValidObjectId(workshopId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid workshop ID!" });
+    }
+    const [workshop, user] = await Promise.all([
+      Workshop.findById(workshopId),
+      User.findById(req.user.userId),
+    ]);
+    if (!workshop) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Workshop not found!" });
+    }
+    const blocker = await workshopCertificateBlocker(user._id, workshop);
+    if (blocker) {
+      return res.status(400).json({ success: false, message: blocker });
+    }
+
+    await respondWithClaim(res, user, { workshop });
+  } catch (error) {
+    console.error("Error issuing workshop certificate:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Get the certificates issued to the logged in user
+exports.getMyCertificates = async (req, res) => {
+  try {
+    const certificates = await Certificate.find({
+      user: req.user.userId,
+    }).sort({ issuedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Certificates fetched successfully!",
+      certificates,
+    });
+  } catch (error) {
+    console.error("Error fetching certificates:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Download a certificate as a PDF, for its holder or certificate managers
+exports.downloadCertificate = async (req, res) => {
+  try {
+    const { serial } = req.params;
+    const certificate = await Certificate.findOne({ serial });
+    const isHolder =
+      certificate?.user.toString() === req.user.userId.toString();
+    if (
+      !certificate ||
+      (!isHolder &&
+        !(await hasPermissions(req.user.role, ["certificates:manage"])))
+    ) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Certificate not found!" });
+    }
+    if (certificate.revokedAt) {
+      return res.status(403).json({
+        success: false,
+        message: "This certificate has been revoked!",
+      });
+    }
+
+    res.attachment(`certificate-${certificate.serial}.pdf`);
+    res.type("application/pdf").status(200);
+    renderCertificatePdf(certificate, res, {
+      verifyUrl: verifyUrlFor(req, certificate.serial),
+    });
+  } catch (error) {
+    console.error("Error downloading certificate:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Check that a certificate is genuine and still valid, for employers and anyone holding the serial
+exports.verifyCertificate = async (req, res) => {
+  try {
+    const { serial } = req.params;
+    const certificate = await Certificate.findOne({ serial });
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        valid: false,
+        message: "No certificate was issued with this serial number!",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      valid: !certificate.revokedAt,
+      message: certificate.revokedAt
+        ? "This certificate has been revoked!"
+        : "This certificate is valid!",
+      certificate: {
+        serial: certificate.serial,
+        recipientName: certificate.recipientName,
+        title: certificate.title,
+        kind: certificate.kind,
+        issuer: certificateConfig.issuerName,
+        issuedAt: certificate.issuedAt,
+        revokedAt: certificate.revokedAt,
+      },
+    });
+  } catch (error) {
+    console.error("Error verifying certificate:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Get every issued certificate, filterable by kind, holder and revocation
+exports.getCertificates = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.kind) {
+      filter.kind = req.query.kind;
+    }
+    if (req.query.user) {
+      if (!mongoose.isValidObjectId(req.query.user)) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Invalid user ID!" });
+      }
+      filter.user = req.query.user;
+    }
+    if (req.query.revoked !== undefined) {
+      filter.revokedAt = req.query.revoked === "true" ? { $ne: null } : null;
+    }
+
+    const total = await Certificate.countDocuments(filter);
+    const certificates = await Certificate.find(filter)
+      .populate("user", "firstName lastName email")
+      .skip(skip)
+      .limit(limit)
+      .sort({ issuedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Certificates fetched successfully!",
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalCertificates: total,
+      hasNextPage: page * limit < total,
+      hasPrevPage: page > 1,
+      nextPage: page + 1,
+      prevPage: page - 1 > 0 ? page - 1 : null,
+      certificates,
+    });
+  } catch (error) {
+    console.error("Error fetching certificates:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Revoke a certificate, verification reports it as no longer valid
+exports.revokeCertificate = async (req, res) => {
+  try {
+    const { serial } = req.params;
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason for the revocation is required!",
+      });
+    }
+    const certificate = await Certificate.findOne({ serial });
+    if (!certificate) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Certificate not found!" });
+    }
+    if (certificate.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "This certificate has already been revoked!",
+      });
+    }
+    certificate.revokedAt = new Date();
+    certificate.revokedBy = req.user.userId;
+    certificate.revocationReason = reason;
+    await certificate.save();
+
+    await recordAudit(req, {
+      action: "certificate.revoked",
+      target: certificate._id,
+      targetModel: "Certificate",
+      metadata: { serial: certificate.serial, holder: certificate.user, reason },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Certificate revoked successfully!",
+      certificate,
+    });
+  } catch (error) {
+    console.error("Error revoking certificate:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
@@ -0,0 +1,303 @@
+const mongoose = require("mongoose");
+const Cohort = require("../models/cohort.model");
+const Course = require("../models/course.model");
+const CourseRegistration = require("../models/course.registration");
+const Notification = require("../models/notification.model");
+const { canAccessOrganizationContent } = require("../utils/organizations");
+const {
+  toCohortSummary,
+  reserveCohortSeats,
+  releaseCohortSeats,
+} = require("../utils/cohorts");
+const { activeRegistrationFilter } = require("../utils/enrollments");
+
+const findCohort = (courseId, cohortId) =>
+  mongoose.isValidObjectId(cohortId)
+    ? Cohort.findOne({ _id: cohortId, course: courseId })
+    : null;
+
+const readDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Apply the cohort fields sent by an instructor. Returns an error message, or null when the cohort is valid.
+const applyCohortFields = (cohort, body) => {
+  if (body.name !== undefined) {
+    cohort.name = body.name;
+  }
+  const previousStartDate = cohort.startDate?.getTime();
+  for (const key of ["startDate", "endDate", "enrollmentDeadline"]) {
+    if (body[key] !== undefined) {
+      cohort[key] = body[key] ? readDate(body[key]) : null;
+      if (body[key] && !cohort[key]) {
+        return `Invalid ${key}!`;
+      }
+    }
+  }
+  // a cohort that moves takes its enrollment deadline along by the same amount, unless a new one is given
+  if (
+    body.enrollmentDeadline === undefined &&
+    previousStartDate !== undefined &&
+    cohort.startDate &&
+    cohort.enrollmentDeadline
+  ) {
+    cohort.enrollmentDeadline = new Date(
+      cohort.enrollmentDeadline.getTime() + cohort.startDate.getTime() - previousStartDate
+    );
+  }
+  if (body.capacity !== undefined) {
+    cohort.capacity =
+      body.capacity === null || body.capacity === "" ? null : Number(body.capacity);
+    if (
+      cohort.capacity !== null &&
+      !(Number.isInteger(cohort.capacity) && cohort.capacity >= 1)
+    ) {
+      return "Capacity must be a whole number of at least 1!";
+    }
+    if (cohort.capacity !== null && cohort.capacity < cohort.enrolledCount) {
+      return `${cohort.enrolledCount} learners are already enrolled in this cohort!`;
+    }
+  }
+
+  if (!cohort.name || !cohort.startDate || !cohort.endDate) {
+    return "Cohort name, start date and end date are required!";
+  }
+  if (cohort.endDate < cohort.startDate) {
+    return "The cohort must end after it starts!";
+  }
+  if (cohort.enrollmentDeadline && cohort.enrollmentDeadline > cohort.endDate) {
+    return "Enrollment must close before the cohort ends!";
+  }
+  return null;
+};
+
+// @desc     List a course's cohorts with the seats left in each
+exports.getCourseCohorts = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    if (!mongoose.isValidObjectId(courseId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid course ID!" });
+    }
+    const course = await Course.findById(courseId);
+    if (
+      !course ||
+      !(await canAccessOrganizationContent(req.user, course.organization))
+    ) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Course not found!" });
+    }
+    const cohorts = await Cohort.find({ course: course._id }).sort({
+      startDate: 1,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Cohorts fetched successfully!",
+      cohorts: cohorts.map(toCohortSummary),
+    });
+  } catch (error) {
+    console.error("Error fetching cohorts:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Add a cohort to a course
+exports.createCohort = async (req, res) => {
+  try {
+    // loaded by authorizeCourseOwner
+    const cohort = new Cohort({ course: req.course._id });
+    const error = applyCohortFields(cohort, req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    await cohort.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Cohort created successfully!",
+      cohort,
+    });
+  } catch (error) {
+    console.error("Error creating cohort:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Update a cohort's dates, deadline or capacity
+exports.updateCohort = async (req, res) => {
+  try {
+    const { cohortId } = req.params;
+    const cohort = await findCohort(req.course._id, cohortId);
+    if (!cohort) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Cohort not found!" });
+    }
+    const error = applyCohortFields(cohort, req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    await cohort.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Cohort updated successfully!",
+      cohort,
+    });
+  } catch (error) {
+    console.error("Error updating cohort:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Delete a cohort nobody is enrolled in
+exports.deleteCohort = async (req, res) => {
+  try {
+    const { cohortId } = req.params;
+    const cohort = await findCohort(req.course._id, cohortId);
+    if (!cohort) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Cohort not found!" });
+    }
+    if (await CourseRegistration.exists({ cohort: cohort._id })) {
+      return res.status(400).json({
+        success: false,
+        message: "Move this cohort's learners to another cohort first!",
+      });
+    }
+    await cohort.deleteOne();
+
+    res
+      .status(200)
+      .json({ success: true, message: "Cohort deleted successfully!" });
+  } catch (error) {
+    console.error("Error deleting cohort:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Get the learners enrolled in a cohort
+exports.getCohortLearners = async (req, res) => {
+  try {
+    const { cohortId } = req.params;
+    const cohort = await findCohort(req.course._id, cohortId);
+    if (!cohort) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Cohort not found!" });
+    }
+    const registrations = await CourseRegistration.find({
+      cohort: cohort._id,
+    }).populate("enrolledUser", "firstName lastName email userImage");
+
+    res.status(200).json({
+      success: true,
+      message: "Cohort learners fetched successfully!",
+      cohort: toCohortSummary(cohort),
+      learners: registrations
+        .map((registration) => registration.enrolledUser)
+        .filter(Boolean),
+    });
+  } catch (error) {
+    console.error("Error fetching cohort learners:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Move registered learners into a cohort. The enrollment deadline doesn't apply, the capacity does.
+exports.moveLearnersToCohort = async (req, res) => {
+  try {
+    const { cohortId } = req.params;
+    const { userIds } = req.body;
+    const course = req.course;
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide the IDs of the learners to move!",
+      });
+    }
+    const cohort = await findCohort(course._id, cohortId);
+    if (!cohort) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Cohort not found!" });
+    }
+
+    const requestedIds = [...new Set(userIds.map(String))];
+    const registrations = await CourseRegistration.find({
+      course: course._id,
+      enrolledUser: { $in: requestedIds.filter(mongoose.isValidObjectId) },
+      ...activeRegistrationFilter,
+    });
+    const registeredIds = registrations.map((registration) =>
+      registration.enrolledUser.toString()
+    );
+    const notRegistered = requestedIds.filter(
+      (id) => !registeredIds.includes(id)
+    );
+    if (notRegistered.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Only learners registered for this course can be moved!",
+        notRegistered,
+      });
+    }
+
+    const moving = registrations.filter(
+      (registration) => registration.cohort?.toString() !== cohort._id.toString()
+    );
+    let updatedCohort = cohort;
+    if (moving.length > 0) {
+      updatedCohort = await reserveCohortSeats(course._id, cohort._id, {
+        seats: moving.length,
+        ignoreDeadline: true,
+      });
+      if (!updatedCohort) {
+        return res.status(400).json({
+          success: false,
+          message: `Not enough seats left in this cohort to move ${moving.length} learners!`,
+        });
+      }
+
+      const leaving = moving.reduce((counts, registration) => {
+        const previous = registration.cohort?.toString();
+        if (previous) {
+          counts[previous] = (counts[previous] || 0) + 1;
+        }
+        return counts;
+      }, {});
+      for (const [previousCohortId, seats] of Object.entries(leaving)) {
+        await releaseCohortSeats(previousCohortId, seats);
+      }
+      await CourseRegistration.updateMany(
+        { _id: { $in: moving.map((registration) => registration._id) } },
+        { cohort: cohort._id }
+      );
+
+      await Notification.insertMany(
+        moving.map((registration) => ({
+          userId: registration.enrolledUser,
+          type: "course",
+          message: `A learner was moved to the ${cohort.name} cohort of ${course.title}.`,
+          userMessage: `You have been moved to the ${cohort.name} cohort of the ${course.title} course, starting ${cohort.startDate.toDateString()}.`,
+          organization: course.organization,
+        }))
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Learners moved successfully!",
+      moved: moving.length,
+      cohort: toCohortSummary(updatedCohort),
+    });
+  } catch (error) {
+    console.error("Error moving learners between cohorts:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
@@ -1,15 +1,123 @@
+const mongoose = require("mongoose");
 const Course = require("../models/course.model");
 const CourseRegistration = require("../models/course.registration");
 const User = require("../models/user.model");
 const Workshop = require("../models/workshop.model");
+const Module = require("../models/module.model");
+const Lesson = require("../models/lesson.model");
+const Progress = require("../models/progress.model");
+const Quiz = require("../models/quiz.model");
+const QuizAttempt = require("../models/quizAttempt.model");
+const Assignment = require("../models/assignment.model");
+const Submission = require("../models/submission.model");
+const Cohort = require("../models/cohort.model");
 const { sendMail } = require("../utils/email.transport");
 //const sendEmail = require('../utils/email.transport.js')
 const Notification = require("../models/notification.model");
 const cloudinaryHelper = require("../utils/cloudinaryHelper");
+const { getCourseProgress } = require("../utils/progress");
+const {
+  approvedRegistrationFilter,
+  activeRegistrationFilter,
+  unenrollLearner,
+} = require("../utils/enrollments");
+const {
+  reserveCohortSeats,
+  reserveNextOpenCohortSeat,
+  releaseCohortSeats,
+  getNextOpenCohorts,
+} = require("../utils/cohorts");
+const { canManageAllCourses } = require("../middlewares/ownership.middleware");
+const {
+  publicContentFilter,
+  visibleContentFilter,
+  canAccessOrganizationContent,
+  parseOrganizationId,
+  organizationAssignmentError,
+  getAdminOrganizationIds,
+} = require("../utils/organizations");
+
+// Course filter for the dashboards: everything, or only the courses the user teaches
+// and those of the organizations they administer
+const manageableCoursesFilter = async (user) => {
+  if (await canManageAllCourses(user)) {
+    return {};
+  }
+  const organizationIds = await getAdminOrganizationIds(user.userId);
+  return {
+    $or: [
+      { instructorId: user.userId },
+      { organization: { $in: organizationIds } },
+    ],
+  };
+};
+
+// Take the learner's seat in the requested cohort or, when none is given, the next open one.
+// Returns { cohort }, with no cohort for courses that don't run in cohorts, or { error }.
+const reserveEnrollmentSeat = async (course, cohortId) => {
+  if (cohortId) {
+    if (
+      !mongoose.isValidObjectId(cohortId) ||
+      !(await Cohort.exists({ _id: cohortId, course: course._id }))
+    ) {
+      return { error: "Cohort not found for this course!" };
+    }
+    const cohort = await reserveCohortSeats(course._id, cohortId);
+    return cohort
+      ? { cohort }
+      : { error: "This cohort is full or no longer open for enrollment!" };
+  }
+  if (!(await Cohort.exists({ course: course._id }))) {
+    return { cohort: null };
+  }
+  const cohort = await reserveNextOpenCohortSeat(course._id);
+  return cohort
+    ? { cohort }
+    : { error: "Enrollment is closed for every cohort of this course!" };
+};
+
+const enrollmentApprovalModes = Course.schema.path("enrollmentApproval").enumValues;
+
+// True while a registration is approved or waiting for a decision
+const isActiveRegistration = (registration) =>
+  Boolean(registration) &&
+  !["rejected", "withdrawn"].includes(registration.status);
+
+// Record the registration in the reserved cohort, giving the seat back if that fails. A rejected or
+// withdrawn registration is reused, so each learner keeps one registration per course. Returns null
+// when another request registered the learner for the course at the same time.
+const saveRegistration = async (previous, fields, cohort) => {
+  const registration = previous || new CourseRegistration();
+  registration.set({
+    ...fields,
+    cohort: cohort?._id || null,
+    reviewedBy: null,
+    reviewedAt: null,
+    reviewNote: "",
+  });
+  try {
+    return await registration.save();
+  } catch (error) {
+    await releaseCohortSeats(cohort?._id);
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Courses with manual approval take applications, the others enroll straight away
+const initialRegistrationStatus = (course) =>
+  course.enrollmentApproval === "manual" ? "pending" : "approved";
+
+const cohortNote = (cohort) =>
+  cohort
+    ? ` in the ${cohort.name} cohort, starting ${cohort.startDate.toDateString()}`
+    : "";
 
 exports.getCourses = async (req, res) => {
   try {
-    const courses = await Course.find()
+    const courses = await Course.find(publicContentFilter)
       .sort("title")
       .select("-registeredUsers");
     if (!courses) {
@@ -32,7 +140,7 @@ exports.getCourseById = async (req, res) => {
   try {
     const { courseId } = req.params;
     const course = await Course.findById(courseId);
-    if (!course) {
+    if (!course || !(await canAccessOrganizationContent(req.user, course.organization))) {
       return res.status(404).json({ message: "Course not found" });
     }
     res.status(200).json({
@@ -49,7 +157,7 @@ exports.getCourseById = async (req, res) => {
 // @desc     Register for a course
 exports.registerForCourse = async (req, res) => {
   try {
-    const { courseTitle, messageBody } = req.body;
+    const { courseTitle, messageBody, cohortId } = req.body;
     const { userId } = req.user;
     if (!userId) {
       return res
@@ -68,7 +176,7 @@ exports.registerForCourse = async (req, res) => {
         .json({ success: false, message: "User not found!" });
     }
     const course = await Course.findOne({ title: courseTitle });
-    if (!course) {
+    if (!course || !(await canAccessOrganizationContent(req.user, course.organization))) {
       return res
         .status(404)
         .json({ success: false, message: "Course not found!" });
@@ -77,31 +185,50 @@ exports.registerForCourse = async (req, res) => {
       enrolledUser: userId,
       course: course._id,
     });
-    if (alreadyRegistered) {
+    if (isActiveRegistration(alreadyRegistered)) {
       return res.status(400).json({
         success: false,
-        message: "You have already registered for this course!",
+        message:
+          alreadyRegistered.status === "pending"
+            ? "Your application for this course is awaiting review!"
+            : "You have already registered for this course!",
       });
     }
+    const { cohort, error: cohortError } = await reserveEnrollmentSeat(
+      course,
+      cohortId
+    );
+    if (cohortError) {
+      return res.status(400).json({ success: false, message: cohortError });
+    }
 
-    const registration = await CourseRegistration.create({
-      course: course._id,
-      enrolledUser: userId,
-      messageBody,
-    });
+    const registration = await saveRegistration(
+      alreadyRegistered,
+      {
+        course: course._id,
+        enrolledUser: userId,
+        messageBody,
+        status: initialRegistrationStatus(course),
+      },
+      cohort
+    );
     if (!registration) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Course registration failed!" });
-    }
-    user.courses.push(course._id);
-    if (!user.hasChosenPath) {
-      user.hasChosenPath = true;
+      return res.status(409).json({
+        success: false,
+        message: "You have already registered for this course!",
+      });
     }
-    await user.save();
+    const isPending = registration.status === "pending";
+    if (!isPending) {
+      user.courses.push(course._id);
+      if (!user.hasChosenPath) {
+        user.hasChosenPath = true;
+      }
+      await user.save();
 
-    course.registeredUsers.push(userId);
-    await course.save();
+      course.registeredUsers.push(userId);
+      await course.save();
+    }
 
     // Send email to user
     // const emailData = {
@@ -115,8 +242,13 @@ exports.registerForCourse = async (req, res) => {
     const notification = await Notification.create({
       userId,
       type: "course",
-      message: `${user.firstName} just registered for the ${course.title} course.`,
-      userMessage: `You have successfully registered for the ${course.title} course.`,
+      message: isPending
+        ? `${user.firstName} applied for the ${course.title} course${cohortNote(cohort)}.`
+        : `${user.firstName} just registered for the ${course.title} course${cohortNote(cohort)}.`,
+      userMessage: isPending
+        ? `Your application for the ${course.title} course${cohortNote(cohort)} has been received and is awaiting review.`
+        : `You have successfully registered for the ${course.title} course${cohortNote(cohort)}.`,
+      organization: course.organization,
     });
     if (!notification) {
       return res
@@ -126,7 +258,9 @@ exports.registerForCourse = async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: "You have successfully enrolled in this course",
+      message: isPending
+        ? "Your application has been received and is awaiting review!"
+        : "You have successfully enrolled in this course",
       registration,
       user,
     });
@@ -147,7 +281,10 @@ exports.getRegisteredCourses = async (req, res) => {
     }
     const registrations = await CourseRegistration.find({
       enrolledUser: userId,
-    }).populate("course");
+      ...activeRegistrationFilter,
+    })
+      .populate("course")
+      .populate("cohort", "name startDate endDate");
     if (!registrations || registrations.length === 0) {
       return res
         .status(404)
@@ -164,10 +301,26 @@ exports.getRegisteredCourses = async (req, res) => {
         .json({ success: false, message: "No registered courses found!" });
     }
 
+    // completion percentage and the lesson to resume in each course
+    const progress = await getCourseProgress(
+      courses.map((course) => course._id),
+      [userId]
+    );
+
     res.status(200).json({
       success: true,
       message: "Successfully fetched all registered courses",
-      courses,
+      courses: courses.map((course) => {
+        const registration = registrations.find(
+          (reg) => reg.course._id.toString() === course._id.toString()
+        );
+        return {
+          ...course.toObject(),
+          progress: progress(userId, course._id),
+          cohort: registration?.cohort || null,
+          enrollmentStatus: registration?.status,
+        };
+      }),
     });
   } catch (error) {
     console.error("Error in fetching registered courses:", error);
@@ -192,6 +345,7 @@ exports.getRegisteredUsers = async (req, res) => {
     }
     const registrations = await CourseRegistration.find({
       course: courseId,
+      ...approvedRegistrationFilter,
     }).populate("enrolledUser");
     if (!registrations || registrations.length === 0) {
       return res
@@ -209,10 +363,19 @@ exports.getRegisteredUsers = async (req, res) => {
         .status(404)
         .json({ success: false, message: "No registered users found!" });
     }
+
+    const progress = await getCourseProgress(
+      [course._id],
+      users.map((user) => user._id)
+    );
+
     res.status(200).json({
       success: true,
       message: "Successfully fetched all registered users",
-      users,
+      users: users.map((user) => ({
+        ...user.toObject(),
+        progress: progress(user._id, course._id),
+      })),
     });
   } catch (error) {
     console.error("Error in fetching registered users:", error);
@@ -220,16 +383,112 @@ exports.getRegisteredUsers = async (req, res) => {
   }
 };
 
+// @desc     Email and notify every student enrolled in a course
+exports.messageCourseStudents = async (req, res) => {
+  try {
+    const { subject, message } = req.body;
+    if (!subject || !message) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Subject and message are required!" });
+    }
+    // loaded by authorizeCourseOwner
+    const course = req.course;
+    const registrations = await CourseRegistration.find({
+      course: course._id,
+      ...approvedRegistrationFilter,
+    }).populate("enrolledUser", "firstName email");
+    const students = registrations
+      .map((registration) => registration.enrolledUser)
+      .filter(Boolean);
+    if (students.length === 0) {
+      return res
+        .status(404)
+        .json({ success: false, message: "No students enrolled in this course!" });
+    }
+
+    let failed = 0;
+    for (const student of students) {
+      try {
+        await sendMail({
+          email: student.email,
+          subject: `${course.title}: ${subject}`,
+          text: `Hi ${student.firstName},\n\n${message}\n\n${course.instructor?.name || "Your instructor"}`,
+        });
+      } catch (error) {
+        failed += 1;
+        console.error(`Error in messaging student ${student._id}:`, error);
+      }
+    }
+    await Notification.insertMany(
+      students.map((student) => ({
+        userId: student._id,
+        type: "course",
+        message: `New message for ${course.title}: ${subject}`,
+        userMessage: message,
+        organization: course.organization,
+      }))
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Message sent to the enrolled students!",
+      recipients: students.length,
+      failed,
+    });
+  } catch (error) {
+    console.error("Error in messaging course students:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
 // @desc      Create a new course
 exports.createCourse = async (req, res) => {
   try {
-    const { title, description, duration, price } = req.body;
+    const { title, description, duration, price, instructorId, enrollmentApproval } =
+      req.body;
     const courseImage = req.file?.path;
     const courseImagePublicId = req.file?.filename;
+    if (enrollmentApproval && !enrollmentApprovalModes.includes(enrollmentApproval)) {
+      return res.status(400).json({
+        success: false,
+        message: `Enrollment approval must be one of: ${enrollmentApprovalModes.join(", ")}!`,
+      });
+    }
+    const organization = parseOrganizationId(req.body.organization);
+
+    const organizationError = await organizationAssignmentError(
+      req.user,
+      null,
+      organization
+    );
+    if (organizationError) {
+      return res
+        .status(organizationError.status)
+        .json({ success: false, message: organizationError.message });
+    }
+
+    // instructors always teach the courses they create, admins may link the course to an instructor's account
+    let instructorUser = null;
+    if (!(await canManageAllCourses(req.user))) {
+      instructorUser = await User.findById(req.user.userId);
+    } else if (instructorId) {
+      instructorUser = await User.findById(instructorId);
+      if (!instructorUser) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Instructor not found!" });
+      }
+    }
 
     let instructor;
     try {
-      instructor = JSON.parse(req.body.instructor);
+      instructor = req.body.instructor
+        ? JSON.parse(req.body.instructor)
+        : instructorUser && {
+            name: `${instructorUser.firstName} ${instructorUser.lastName}`,
+            email: instructorUser.email,
+          };
     } catch (error) {
       return res.status(400).json({
         success: false,
@@ -237,6 +496,11 @@ exports.createCourse = async (req, res) => {
         error: error.message,
       });
     }
+    if (!instructor) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid instructor data!" });
+    }
 
     if (!title || !duration) {
       return res.status(400).json({
@@ -259,6 +523,9 @@ exports.createCourse = async (req, res) => {
       duration,
       price,
       instructor,
+      instructorId: instructorUser?._id,
+      organization,
+      enrollmentApproval,
     });
 
     if (!course) {
@@ -284,21 +551,37 @@ exports.getOtherCourses = async (req, res) => {
         .status(401)
         .json({ success: false, message: "Unauthorized: Please Login." });
     }
-    const availableCourses = await Course.find().sort("createdAt: -1");
+    const visibleFilter = await visibleContentFilter(req.user);
+    const availableCourses = await Course.find(visibleFilter).sort(
+      "createdAt: -1"
+    );
+    // rejected and withdrawn applicants may apply again
     const registrations = await CourseRegistration.find({
       enrolledUser: userId,
+      ...activeRegistrationFilter,
     }).populate("course");
+    // the intake learners would join if they enrolled now
+    const withNextCohort = async (courses) => {
+      const nextCohort = await getNextOpenCohorts(
+        courses.map((course) => course._id)
+      );
+      return courses.map((course) => ({
+        ...course.toObject(),
+        nextCohort: nextCohort(course._id),
+      }));
+    };
     if (!registrations || registrations.length === 0) {
       return res.status(200).json({
         success: true,
         message: "Successfully fetched all courses",
-        courses: availableCourses,
+        courses: await withNextCohort(availableCourses),
       });
     }
     const registrationIds = registrations.map((reg) => reg.course._id);
-    const courses = await Course.find({ _id: { $nin: registrationIds } }).sort(
-      "createdAt: -1"
-    );
+    const courses = await Course.find({
+      ...visibleFilter,
+      _id: { $nin: registrationIds },
+    }).sort("createdAt: -1");
 
     if (!courses || courses.length === 0) {
       return res
@@ -308,7 +591,7 @@ exports.getOtherCourses = async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Successfully fetched other courses",
-      courses,
+      courses: await withNextCohort(courses),
     });
   } catch (error) {
     console.error("Error in fetching other courses:", error);
@@ -332,7 +615,10 @@ exports.registerForOtherCourses = async (req, res) => {
         .json({ success: false, message: "User not found!" });
     }
     const existingCourse = await Course.findById(courseId);
-    if (!existingCourse) {
+    if (
+      !existingCourse ||
+      !(await canAccessOrganizationContent(req.user, existingCourse.organization))
+    ) {
       return res
         .status(404)
         .json({ success: false, message: "Course not found!" });
@@ -341,29 +627,49 @@ exports.registerForOtherCourses = async (req, res) => {
       enrolledUser: userId,
       course: courseId,
     });
-    if (alreadyRegistered) {
+    if (isActiveRegistration(alreadyRegistered)) {
       return res.status(400).json({
         success: false,
-        message: "You have already registered for this course.",
+        message:
+          alreadyRegistered.status === "pending"
+            ? "Your application for this course is awaiting review!"
+            : "You have already registered for this course.",
       });
     }
-    const otherCourse = await CourseRegistration.create({
-      enrolledUser: userId,
-      course: courseId,
-    });
-    if (!otherCourse) {
-      return res
-        .status(400)
-        .json({ success: false, message: "Course registration failed!" });
+    const { cohort, error: cohortError } = await reserveEnrollmentSeat(
+      existingCourse,
+      req.body?.cohortId
+    );
+    if (cohortError) {
+      return res.status(400).json({ success: false, message: cohortError });
     }
-    if (!user.hasChosenPath) {
-      user.hasChosenPath = true;
+    const otherCourse = await saveRegistration(
+      alreadyRegistered,
+      {
+        enrolledUser: userId,
+        course: courseId,
+        messageBody: req.body?.messageBody,
+        status: initialRegistrationStatus(existingCourse),
+      },
+      cohort
+    );
+    if (!otherCourse) {
+      return res.status(409).json({
+        success: false,
+        message: "You have already registered for this course.",
+      });
     }
-    user.courses.push(courseId);
-    await user.save();
+    const isPending = otherCourse.status === "pending";
+    if (!isPending) {
+      if (!user.hasChosenPath) {
+        user.hasChosenPath = true;
+      }
+      user.courses.push(courseId);
+      await user.save();
 
-    existingCourse.registeredUsers.push(userId);
-    await existingCourse.save();
+      existingCourse.registeredUsers.push(userId);
+      await existingCourse.save();
+    }
 
     // Send email to user
     // const emailData = {
@@ -378,8 +684,13 @@ exports.registerForOtherCourses = async (req, res) => {
     const notification = await Notification.create({
       userId,
       type: "course",
-      message: `${user.firstName} just registered for the ${existingCourse.title} course.`,
-      userMessage: `You have successfully registered for the ${existingCourse.title} course.`,
+      message: isPending
+        ? `${user.firstName} applied for the ${existingCourse.title} course${cohortNote(cohort)}.`
+        : `${user.firstName} just registered for the ${existingCourse.title} course${cohortNote(cohort)}.`,
+      userMessage: isPending
+        ? `Your application for the ${existingCourse.title} course${cohortNote(cohort)} has been received and is awaiting review.`
+        : `You have successfully registered for the ${existingCourse.title} course${cohortNote(cohort)}.`,
+      organization: existingCourse.organization,
     });
     if (!notification) {
       return res
@@ -389,7 +700,9 @@ exports.registerForOtherCourses = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: "This course is successfully registered",
+      message: isPending
+        ? "Your application has been received and is awaiting review!"
+        : "This course is successfully registered",
       registration: otherCourse,
       user,
     });
@@ -403,7 +716,8 @@ exports.registerForOtherCourses = async (req, res) => {
 exports.updateCourse = async (req, res) => {
   try {
     const { courseId } = req.params;
-    const { title, description, duration, price } = req.body;
+    const { title, description, duration, price, instructorId, enrollmentApproval } =
+      req.body;
 
     if (!title || !description) {
       return res.status(400).json({
@@ -419,6 +733,12 @@ exports.updateCourse = async (req, res) => {
         .status(400)
         .json({ success: false, message: "Course ID is required!" });
     }
+    if (enrollmentApproval && !enrollmentApprovalModes.includes(enrollmentApproval)) {
+      return res.status(400).json({
+        success: false,
+        message: `Enrollment approval must be one of: ${enrollmentApprovalModes.join(", ")}!`,
+      });
+    }
 
     let instructor;
     try {
@@ -429,11 +749,39 @@ exports.updateCourse = async (req, res) => {
         .json({ success: false, message: "Invalid facilitator data!" });
     }
 
-    const course = await Course.findById(courseId);
-    if (!course) {
-      return res
-        .status(404)
-        .json({ success: false, message: "Course not found!" });
+    // loaded by authorizeCourseOwner
+    const course = req.course;
+
+    // only users who manage every course can hand a course to another instructor
+    if (instructorId && instructorId !== course.instructorId?.toString()) {
+      if (!(await canManageAllCourses(req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. You cannot reassign this course.",
+        });
+      }
+      const instructorUser = await User.findById(instructorId);
+      if (!instructorUser) {
+        return res
+          .status(400)
+          .json({ success: false, message: "Instructor not found!" });
+      }
+      course.instructorId = instructorUser._id;
+    }
+
+    if (req.body.organization !== undefined) {
+      const organization = parseOrganizationId(req.body.organization);
+      const organizationError = await organizationAssignmentError(
+        req.user,
+        course.organization,
+        organization
+      );
+      if (organizationError) {
+        return res
+          .status(organizationError.status)
+          .json({ success: false, message: organizationError.message });
+      }
+      course.organization = organization;
     }
 
     // Delete previous image if it's not the default and a new image is uploaded
@@ -452,6 +800,8 @@ exports.updateCourse = async (req, res) => {
     course.duration = duration || course.duration;
     course.price = price || course.price;
     course.instructor = instructor || course.instructor;
+    // applications already pending stay pending when switching to auto-approve
+    course.enrollmentApproval = enrollmentApproval || course.enrollmentApproval;
     // if (courseImage) {
     //   course.courseImage = courseImage;
     // }
@@ -520,6 +870,31 @@ exports.deleteCourse = async (req, res) => {
     // Remove the course from all registered users
     await CourseRegistration.deleteMany({ course: courseId });
 
+    // Remove the curriculum and the files uploaded for its lessons
+    const lessonFiles = await Lesson.find({
+      course: courseId,
+      filePublicId: { $ne: "" },
+    });
+    for (const lesson of lessonFiles) {
+      await cloudinaryHelper.deleteDocumentFromCloudinary(lesson.filePublicId);
+    }
+    await Progress.deleteMany({ course: courseId });
+    await QuizAttempt.deleteMany({ course: courseId });
+    await Quiz.deleteMany({ course: courseId });
+
+    // Remove the assignments and the files learners uploaded for them
+    const submissions = await Submission.find({ course: courseId });
+    for (const submission of submissions) {
+      for (const version of [submission, ...submission.history]) {
+        await cloudinaryHelper.deleteFromCloudinary(version.filePublicId);
+      }
+    }
+    await Submission.deleteMany({ course: courseId });
+    await Assignment.deleteMany({ course: courseId });
+    await Lesson.deleteMany({ course: courseId });
+    await Module.deleteMany({ course: courseId });
+    await Cohort.deleteMany({ course: courseId });
+
     res
       .status(200)
       .json({ success: true, message: "Course deleted successfully" });
@@ -555,9 +930,10 @@ exports.unregisterFromCourse = async (req, res) => {
         .status(404)
         .json({ success: false, message: "User not found!" });
     }
-    const registration = await CourseRegistration.findOneAndDelete({
+    const registration = await CourseRegistration.findOne({
       enrolledUser: userId,
       course: courseId,
+      ...activeRegistrationFilter,
     });
     if (!registration) {
       return res.status(404).json({
@@ -565,10 +941,12 @@ exports.unregisterFromCourse = async (req, res) => {
         message: "You are not registered for this course!",
       });
     }
-    user.courses = user.courses.filter(
-      (course) => course.toString() !== courseId
-    );
-    await user.save();
+    // pending applications are withdrawn the same way
+    await releaseCohortSeats(registration.cohort);
+    registration.status = "withdrawn";
+    registration.cohort = null;
+    await registration.save();
+    await unenrollLearner(user._id, course._id);
 
     res.status(200).json({
       success: true,
@@ -588,11 +966,12 @@ exports.getDashboardMetrics = async (req, res) => {
       await Promise.all([
         Course.countDocuments(),
         User.countDocuments(),
-        CourseRegistration.countDocuments(),
+        CourseRegistration.countDocuments(approvedRegistrationFilter),
         Workshop.countDocuments(),
       ]);
 
     const topCourses = await CourseRegistration.aggregate([
+      { $match: approvedRegistrationFilter },
       {
         $group: {
           _id: "$course",
@@ -654,9 +1033,12 @@ exports.getDashboardMetrics = async (req, res) => {
 
 exports.getRegisteredCoursesByAdmin = async (req, res) => {
   try {
-    const registrations = await CourseRegistration.find().populate(
-      "course enrolledUser"
-    );
+    const filter = await manageableCoursesFilter(req.user);
+    const courseIds = await Course.find(filter).distinct("_id");
+    const registrations = await CourseRegistration.find({
+      ...(Object.keys(filter).length ? { course: { $in: courseIds } } : {}),
+      ...approvedRegistrationFilter,
+    }).populate("course enrolledUser");
     if (!registrations || registrations.length === 0) {
       return res
         .status(404)
@@ -687,7 +1069,9 @@ exports.getRegisteredCoursesByAdmin = async (req, res) => {
 
 exports.getRegisteredUsersByAdmin = async (req, res) => {
   try {
+    const filter = await manageableCoursesFilter(req.user);
     const courses = await Course.find({
+      ...filter,
       registeredUsers: { $exists: true, $ne: [] },
     }).populate("registeredUsers", "firstName lastName email userImage");
     if (!courses || courses.length === 0) {
@@ -700,6 +1084,7 @@ exports.getRegisteredUsersByAdmin = async (req, res) => {
       0
     );
     const courseCount = await Course.countDocuments({
+      ...filter,
       registeredUsers: { $exists: true, $not: { $size: 0 } },
     });
     const courseDetails = courses.map((course) => ({
@@ -0,0 +1,479 @@
+const mongoose = require("mongoose");
+const Course = require("../models/course.model");
+const Module = require("../models/module.model");
+const Lesson = require("../models/lesson.model");
+const Progress = require("../models/progress.model");
+const Quiz = require("../models/quiz.model");
+const cloudinaryHelper = require("../utils/cloudinaryHelper");
+const { canAccessOrganizationContent } = require("../utils/organizations");
+
+const lessonTypes = Lesson.schema.path("type").enumValues;
+
+// lesson fields that are only shown to registered learners
+const lessonContentFields = "-content -url -filePublicId";
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// What the lesson is missing for its type, or null when it is complete
+const lessonContentError = (lesson) => {
+  if (!lessonTypes.includes(lesson.type)) {
+    return `Lesson type must be one of: ${lessonTypes.join(", ")}!`;
+  }
+  if (lesson.type === "text" && !lesson.content) {
+    return "Text lessons need content!";
+  }
+  if (lesson.type !== "text" && !isHttpUrl(lesson.url)) {
+    return lesson.type === "file"
+      ? "File lessons need an uploaded file!"
+      : "A valid URL is required for this lesson!";
+  }
+  return null;
+};
+
+const removeUploadedFile = (req) =>
+  req.file?.filename && cloudinaryHelper.deleteDocumentFromCloudinary(req.file.filename);
+
+// Why the order or estimated minutes sent by an instructor are invalid, or null when they are fine
+const invalidNumbers = ({ order, estimatedMinutes }) => {
+  if (order !== undefined && !(Number.isInteger(Number(order)) && Number(order) >= 0)) {
+    return "Order must be a whole number of at least 0!";
+  }
+  if (
+    estimatedMinutes !== undefined &&
+    !(Number.isFinite(Number(estimatedMinutes)) && Number(estimatedMinutes) >= 0)
+  ) {
+    return "Estimated minutes must be a number of at least 0!";
+  }
+  return null;
+};
+
+const findModule = (courseId, moduleId) =>
+  mongoose.isValidObjectId(moduleId)
+    ? Module.findOne({ _id: moduleId, course: courseId })
+    : null;
+
+const findLesson = (moduleId, lessonId) =>
+  mongoose.isValidObjectId(lessonId)
+    ? Lesson.findOne({ _id: lessonId, module: moduleId })
+    : null;
+
+// Save new positions from a list of ids that names every item exactly once
+const applyOrder = async (Model, items, orderedIds) => {
+  if (!Array.isArray(orderedIds)) {
+    return false;
+  }
+  const currentIds = items.map((item) => item._id.toString()).sort();
+  const requestedIds = orderedIds.map(String);
+  if (
+    new Set(requestedIds).size !== requestedIds.length ||
+    [...requestedIds].sort().join() !== currentIds.join()
+  ) {
+    return false;
+  }
+  await Model.bulkWrite(
+    requestedIds.map((id, index) => ({
+      updateOne: { filter: { _id: id }, update: { order: index } },
+    }))
+  );
+  return true;
+};
+
+const removeLessonFiles = async (lessons) => {
+  for (const lesson of lessons) {
+    if (lesson.filePublicId) {
+      await cloudinaryHelper.deleteDocumentFromCloudinary(lesson.filePublicId);
+    }
+  }
+};
+
+// @desc     Get a course's modules with the outline of their lessons
+exports.getCourseModules = async (req, res) => {
+  try {
+    const { courseId } = req.params;
+    if (!mongoose.isValidObjectId(courseId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid course ID!" });
+    }
+    const course = await Course.findById(courseId);
+    if (
+      !course ||
+      !(await canAccessOrganizationContent(req.user, course.organization))
+    ) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Course not found!" });
+    }
+
+    const [modules, lessons] = await Promise.all([
+      Module.find({ course: course._id }).sort({ order: 1, createdAt: 1 }),
+      Lesson.find({ course: course._id })
+        .sort({ order: 1, createdAt: 1 })
+        .select(lessonContentFields),
+    ]);
+
+    const outline = modules.map((module) => {
+      const moduleLessons = lessons.filter(
+        (lesson) => lesson.module.toString() === module._id.toString()
+      );
+      return {
+        ...module.toObject(),
+        lessons: moduleLessons,
+        estimatedMinutes: moduleLessons.reduce(
+          (total, lesson) => total + lesson.estimatedMinutes,
+          0
+        ),
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Course modules fetched successfully!",
+      modules: outline,
+      totalLessons: lessons.length,
+      estimatedMinutes: outline.reduce(
+        (total, module) => total + module.estimatedMinutes,
+        0
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching course modules:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Add a module to a course
+exports.createModule = async (req, res) => {
+  try {
+    const { title, description, order } = req.body;
+    if (!title) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Module title is required!" });
+    }
+    const numbersError = invalidNumbers({ order });
+    if (numbersError) {
+      return res.status(400).json({ success: false, message: numbersError });
+    }
+    // loaded by authorizeCourseOwner
+    const course = req.course;
+    const module = await Module.create({
+      course: course._id,
+      title,
+      description,
+      // new modules go last unless a position is given
+      order:
+        order !== undefined
+          ? Number(order)
+          : await Module.countDocuments({ course: course._id }),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Module created successfully!",
+      module,
+    });
+  } catch (error) {
+    console.error("Error creating module:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Update a module
+exports.updateModule = async (req, res) => {
+  try {
+    const { moduleId } = req.params;
+    const { title, description, order } = req.body;
+    const module = await findModule(req.course._id, moduleId);
+    if (!module) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Module not found!" });
+    }
+    const numbersError = invalidNumbers({ order });
+    if (numbersError) {
+      return res.status(400).json({ success: false, message: numbersError });
+    }
+    module.title = title || module.title;
+    module.description = description ?? module.description;
+    if (order !== undefined) {
+      module.order = Number(order);
+    }
+    await module.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Module updated successfully!",
+      module,
+    });
+  } catch (error) {
+    console.error("Error updating module:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Delete a module and its lessons
+exports.deleteModule = async (req, res) => {
+  try {
+    const { moduleId } = req.params;
+    const module = await findModule(req.course._id, moduleId);
+    if (!module) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Module not found!" });
+    }
+    const lessons = await Lesson.find({ module: module._id });
+    await removeLessonFiles(lessons);
+    const lessonIds = lessons.map((lesson) => lesson._id);
+    await Progress.deleteMany({ lesson: { $in: lessonIds } });
+    // their quizzes stay on the course
+    await Quiz.updateMany({ lesson: { $in: lessonIds } }, { lesson: null });
+    await Lesson.deleteMany({ module: module._id });
+    await module.deleteOne();
+
+    res
+      .status(200)
+      .json({ success: true, message: "Module deleted successfully!" });
+  } catch (error) {
+    console.error("Error deleting module:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Put a course's modules in a new order
+exports.reorderModules = async (req, res) => {
+  try {
+    const { moduleIds } = req.body;
+    const modules = await Module.find({ course: req.course._id });
+    if (!(await applyOrder(Module, modules, moduleIds))) {
+      return res.status(400).json({
+        success: false,
+        message: "List every module of this course exactly once!",
+      });
+    }
+
+    res
+      .status(200)
+      .json({ success: true, message: "Modules reordered successfully!" });
+  } catch (error) {
+    console.error("Error reordering modules:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Add a lesson to a module
+exports.createLesson = async (req, res) => {
+  try {
+    const { moduleId } = req.params;
+    const { title, type, content, url, estimatedMinutes, order } = req.body;
+    const module = await findModule(req.course._id, moduleId);
+    if (!module) {
+      await removeUploadedFile(req);
+      return res
+        .status(404)
+        .json({ success: false, message: "Module not found!" });
+    }
+    if (!title) {
+      await removeUploadedFile(req);
+      return res
+        .status(400)
+        .json({ success: false, message: "Lesson title is required!" });
+    }
+    const numbersError = invalidNumbers({ order, estimatedMinutes });
+    if (numbersError) {
+      await removeUploadedFile(req);
+      return res.status(400).json({ success: false, message: numbersError });
+    }
+    if (req.file && type !== "file") {
+      await removeUploadedFile(req);
+      return res.status(400).json({
+        success: false,
+        message: "Only file lessons take an uploaded file!",
+      });
+    }
+
+    const lesson = new Lesson({
+      course: req.course._id,
+      module: module._id,
+      title,
+      type,
+      content,
+      url: type === "file" ? req.file?.path : url,
+      filePublicId: type === "file" ? req.file?.filename : "",
+      estimatedMinutes,
+      order:
+        order !== undefined
+          ? Number(order)
+          : await Lesson.countDocuments({ module: module._id }),
+    });
+    const contentError = lessonContentError(lesson);
+    if (contentError) {
+      await removeUploadedFile(req);
+      return res.status(400).json({ success: false, message: contentError });
+    }
+    await lesson.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Lesson created successfully!",
+      lesson,
+    });
+  } catch (error) {
+    console.error("Error creating lesson:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Get a lesson with its content
+exports.getLesson = async (req, res) => {
+  try {
+    const { moduleId, lessonId } = req.params;
+    // course loaded by authorizeCourseLearner
+    const module = await findModule(req.course._id, moduleId);
+    const lesson = module && (await findLesson(module._id, lessonId));
+    if (!lesson) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Lesson not found!" });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Lesson fetched successfully!",
+      lesson,
+    });
+  } catch (error) {
+    console.error("Error fetching lesson:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Update a lesson
+exports.updateLesson = async (req, res) => {
+  try {
+    const { moduleId, lessonId } = req.params;
+    const { title, type, content, url, estimatedMinutes, order } = req.body;
+    const module = await findModule(req.course._id, moduleId);
+    const lesson = module && (await findLesson(module._id, lessonId));
+    if (!lesson) {
+      await removeUploadedFile(req);
+      return res
+        .status(404)
+        .json({ success: false, message: "Lesson not found!" });
+    }
+    const numbersError = invalidNumbers({ order, estimatedMinutes });
+    if (numbersError) {
+      await removeUploadedFile(req);
+      return res.status(400).json({ success: false, message: numbersError });
+    }
+    if (req.file && (type || lesson.type) !== "file") {
+      await removeUploadedFile(req);
+      return res.status(400).json({
+        success: false,
+        message: "Only file lessons take an uploaded file!",
+      });
+    }
+
+    const previousFileId = lesson.filePublicId;
+    lesson.title = title || lesson.title;
+    lesson.type = type || lesson.type;
+    lesson.content = content ?? lesson.content;
+    if (lesson.type === "file") {
+      if (req.file?.path) {
+        lesson.url = req.file.path;
+        lesson.filePublicId = req.file.filename;
+      } else if (!lesson.filePublicId) {
+        lesson.url = "";
+      }
+    } else {
+      lesson.url = url ?? (previousFileId ? "" : lesson.url);
+      lesson.filePublicId = "";
+    }
+    if (estimatedMinutes !== undefined) {
+      lesson.estimatedMinutes = estimatedMinutes;
+    }
+    if (order !== undefined) {
+      lesson.order = Number(order);
+    }
+    const contentError = lessonContentError(lesson);
+    if (contentError) {
+      await removeUploadedFile(req);
+      return res.status(400).json({ success: false, message: contentError });
+    }
+    await lesson.save();
+
+    // the previous upload was replaced or is no longer used
+    if (previousFileId && previousFileId !== lesson.filePublicId) {
+      await cloudinaryHelper.deleteDocumentFromCloudinary(previousFileId);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Lesson updated successfully!",
+      lesson,
+    });
+  } catch (error) {
+    console.error("Error updating lesson:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Delete a lesson
+exports.deleteLesson = async (req, res) => {
+  try {
+    const { moduleId, lessonId } = req.params;
+    const module = await findModule(req.course._id, moduleId);
+    const lesson = module && (await findLesson(module._id, lessonId));
+    if (!lesson) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Lesson not found!" });
+    }
+    await removeLessonFiles([lesson]);
+    await Progress.deleteMany({ lesson: lesson._id });
+    await Quiz.updateMany({ lesson: lesson._id }, { lesson: null });
+    await lesson.deleteOne();
+
+    res
+      .status(200)
+      .json({ success: true, message: "Lesson deleted successfully!" });
+  } catch (error) {
+    console.error("Error deleting lesson:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Put a module's lessons in a new order
+exports.reorderLessons = async (req, res) => {
+  try {
+    const { moduleId } = req.params;
+    const { lessonIds } = req.body;
+    const module = await findModule(req.course._id, moduleId);
+    if (!module) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Module not found!" });
+    }
+    const lessons = await Lesson.find({ module: module._id });
+    if (!(await applyOrder(Lesson, lessons, lessonIds))) {
+      return res.status(400).json({
+        success: false,
+        message: "List every lesson of this module exactly once!",
+      });
+    }
+
+    res
+      .status(200)
+      .json({ success: true, message: "Lessons reordered successfully!" });
+  } catch (error) {
+    console.error("Error reordering lessons:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
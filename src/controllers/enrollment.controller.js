@@ -0,0 +1,148 @@
+const mongoose = require("mongoose");
+const CourseRegistration = require("../models/course.registration");
+const Notification = require("../models/notification.model");
+const { sendMail } = require("../utils/email.transport");
+const { releaseCohortSeats } = require("../utils/cohorts");
+const { enrollLearner } = require("../utils/enrollments");
+
+const registrationStatuses = CourseRegistration.schema.path("status").enumValues;
+
+// @desc     List a course's applications with the applicants' messages, pending ones by default
+exports.getCourseApplications = async (req, res) => {
+  try {
+    const status = req.query.status || "pending";
+    if (!registrationStatuses.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${registrationStatuses.join(", ")}!`,
+      });
+    }
+    // loaded by authorizeCourseOwner
+    const applications = await CourseRegistration.find({
+      course: req.course._id,
+      status,
+    })
+      .populate("enrolledUser", "firstName lastName email userImage")
+      .populate("cohort", "name startDate endDate")
+      .populate("reviewedBy", "firstName lastName")
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Applications fetched successfully!",
+      applications,
+    });
+  } catch (error) {
+    console.error("Error fetching course applications:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Approve or reject a batch of pending applications and tell each applicant
+exports.reviewApplications = async (req, res) => {
+  try {
+    const { registrationIds, decision, note = "" } = req.body;
+    const course = req.course;
+    if (!["approved", "rejected"].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        message: "Decision must be approved or rejected!",
+      });
+    }
+    if (!Array.isArray(registrationIds) || registrationIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide the IDs of the applications to review!",
+      });
+    }
+
+    const requestedIds = [...new Set(registrationIds.map(String))];
+    const applications = await CourseRegistration.find({
+      _id: { $in: requestedIds.filter(mongoose.isValidObjectId) },
+      course: course._id,
+      status: "pending",
+    })
+      .populate("enrolledUser", "firstName email")
+      .populate("cohort", "name startDate");
+
+    const approved = decision === "approved";
+    const reviewed = [];
+    for (const application of applications) {
+      // claim the application first, so a review running at the same time can't decide it too
+      const claimed = await CourseRegistration.findOneAndUpdate(
+        { _id: application._id, status: "pending" },
+        {
+          status: decision,
+          reviewedBy: req.user.userId,
+          reviewedAt: new Date(),
+          reviewNote: note,
+          ...(approved ? {} : { cohort: null }),
+        }
+      );
+      if (!claimed) {
+        continue;
+      }
+      reviewed.push(application);
+      if (!approved) {
+        await releaseCohortSeats(application.cohort?._id);
+      }
+      if (approved && application.enrolledUser) {
+        await enrollLearner(application.enrolledUser._id, course._id);
+      }
+    }
+    const reviewedIds = reviewed.map((application) =>
+      application._id.toString()
+    );
+    const skipped = requestedIds.filter((id) => !reviewedIds.includes(id));
+
+    const applicants = reviewed
+      .map((application) => ({
+        applicant: application.enrolledUser,
+        cohort: approved ? application.cohort : null,
+      }))
+      .filter(({ applicant }) => applicant);
+    const decisionMessage = (cohort) =>
+      approved
+        ? `Your application for the ${course.title} course has been approved${
+            cohort
+              ? `. You are in the ${cohort.name} cohort, starting ${cohort.startDate.toDateString()}`
+              : ""
+          }.`
+        : `Your application for the ${course.title} course was not accepted this time.`;
+    await Notification.insertMany(
+      applicants.map(({ applicant, cohort }) => ({
+        userId: applicant._id,
+        type: "course",
+        message: `${applicant.firstName}'s application for ${course.title} was ${decision}.`,
+        userMessage: decisionMessage(cohort),
+        organization: course.organization,
+      }))
+    );
+    let failed = 0;
+    for (const { applicant, cohort } of applicants) {
+      try {
+        await sendMail({
+          email: applicant.email,
+          subject: `${course.title}: your application was ${decision}`,
+          text: `Hi ${applicant.firstName},\n\n${decisionMessage(cohort)}${note ? `\n\n${note}` : ""}`,
+        });
+      } catch (error) {
+        failed += 1;
+        console.error(`Error emailing applicant ${applicant._id}:`, error);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: approved
+        ? "Applications approved successfully!"
+        : "Applications rejected successfully!",
+      reviewed: reviewed.length,
+      skipped,
+      failedEmails: failed,
+    });
+  } catch (error) {
+    console.error("Error reviewing course applications:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
@@ -0,0 +1,101 @@
+const mongoose = require("mongoose");
+const User = require("../models/user.model");
+const {
+  issueImpersonationToken,
+  revokeSession,
+  clearAccessTokenCookie,
+} = require("../utils/token");
+const { recordAudit } = require("../utils/audit");
+
+// @desc     Sign in as another user to see what they see
+exports.startImpersonation = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { reason } = req.body || {};
+    if (!mongoose.isValidObjectId(userId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid user ID!" });
+    }
+    if (userId === req.user.userId) {
+      return res
+        .status(400)
+        .json({ success: false, message: "You cannot impersonate yourself!" });
+    }
+    const [user, admin] = await Promise.all([
+      User.findById(userId),
+      User.findById(req.user.userId),
+    ]);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found!" });
+    }
+    // signing in as staff would let support act with someone else's privileges
+    if (user.role !== "user") {
+      return res
+        .status(403)
+        .json({ success: false, message: "Only learner accounts can be impersonated!" });
+    }
+
+    const { accessToken, csrfToken, sessionId, expiresAt } = await issueImpersonationToken(
+      req,
+      res,
+      user,
+      admin
+    );
+
+    await recordAudit(req, {
+      action: "impersonation.started",
+      target: user._id,
+      metadata: { sessionId, expiresAt, reason },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `You are now signed in as ${user.firstName} ${user.lastName}!`,
+      accessToken,
+      csrfToken,
+      expiresAt,
+      user: {
+        _id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.error("Error starting impersonation:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Stop impersonating and return to the admin's own account
+exports.endImpersonation = async (req, res) => {
+  try {
+    const { userId, sessionId, impersonatorId } = req.user;
+    if (!impersonatorId) {
+      return res
+        .status(400)
+        .json({ success: false, message: "You are not impersonating a user!" });
+    }
+    await revokeSession(sessionId);
+
+    await recordAudit(req, {
+      action: "impersonation.ended",
+      actor: impersonatorId,
+      target: userId,
+      metadata: { sessionId },
+    });
+
+    // the admin's refresh token cookie is untouched, /auth/refresh signs them back in
+    clearAccessTokenCookie(res);
+    res
+      .status(200)
+      .json({ success: true, message: "Impersonation ended successfully!" });
+  } catch (error) {
+    console.error("Error ending impersonation:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
@@ -0,0 +1,212 @@
+const crypto = require("crypto");
+const Invitation = require("../models/invitation.model");
+const User = require("../models/user.model");
+const Notification = require("../models/notification.model");
+const { sendMail } = require("../utils/email.transport");
+const { hashToken } = require("../utils/token");
+const { recordAudit } = require("../utils/audit");
+const { validatePassword, setPassword } = require("../utils/passwordPolicy");
+const authConfig = require("../../config/auth");
+
+// @desc     Invite a new user with a role
+exports.createInvitation = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    if (!email || !role) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Email and role are required!" });
+    }
+    if (!Invitation.schema.path("role").enumValues.includes(role)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid role!" });
+    }
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res
+        .status(400)
+        .json({ success: false, message: "User already exists!" });
+    }
+    // only the latest invitation for an email address stays valid
+    await Invitation.updateMany(
+      { email, acceptedAt: null, revokedAt: null },
+      { revokedAt: Date.now() }
+    );
+
+    const inviteToken = crypto.randomBytes(32).toString("hex");
+    const invitation = await Invitation.create({
+      email,
+      role,
+      tokenHash: hashToken(inviteToken),
+      invitedBy: req.user.userId,
+      expiresAt: Date.now() + authConfig.invitationTtlHours * 60 * 60 * 1000,
+    });
+
+    const inviteLink = `${process.env.FRONTEND_URL}/accept-invite/${inviteToken}`;
+    await sendMail({
+      email,
+      subject: "You have been invited to SkillitGH",
+      html: `
+        <h2>You're invited!</h2>
+        <p>You have been invited to join SkillitGH as ${/^[aeiou]/.test(role) ? "an" : "a"} ${role}. Click the link below to set up your account. This link will expire in ${authConfig.invitationTtlHours} hours.</p>
+        <a href="${inviteLink}" style="text-decoration: none;">
+          <button style="background-color: #4CAF50; color: white; padding: 10px 20px; border: none; border-radius: 5px; cursor: pointer;">
+            Accept Invitation
+          </button>
+        </a>
+        <p>If you were not expecting this invitation, please ignore this email.</p>
+      `,
+    });
+
+    await recordAudit(req, {
+      action: "invitation.created",
+      target: invitation._id,
+      targetModel: "Invitation",
+      metadata: { email, role },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation sent successfully!",
+      invitation,
+    });
+  } catch (error) {
+    console.error("Error creating invitation:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Get all invitations
+exports.getInvitations = async (req, res) => {
+  try {
+    const invitations = await Invitation.find()
+      .populate("invitedBy", "firstName lastName email")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Invitations fetched successfully!",
+      invitations,
+    });
+  } catch (error) {
+    console.error("Error fetching invitations:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Revoke a pending invitation
+exports.revokeInvitation = async (req, res) => {
+  try {
+    const { invitationId } = req.params;
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: invitationId, acceptedAt: null, revokedAt: null },
+      { revokedAt: Date.now() },
+      { new: true }
+    );
+    if (!invitation) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Pending invitation not found!" });
+    }
+
+    await recordAudit(req, {
+      action: "invitation.revoked",
+      target: invitation._id,
+      targetModel: "Invitation",
+      metadata: { email: invitation.email, role: invitation.role },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation revoked successfully!",
+      invitation,
+    });
+  } catch (error) {
+    console.error("Error revoking invitation:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Accept an invitation and create the invited account
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const { token, firstName, lastName, password } = req.body;
+    if (!token || !firstName || !lastName || !password) {
+      return res
+        .status(400)
+        .json({ success: false, message: "All fields are required!" });
+    }
+    const invitation = await Invitation.findOne({
+      tokenHash: hashToken(token),
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: Date.now() },
+    });
+    if (!invitation) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid or expired invitation!" });
+    }
+    const existingUser = await User.findOne({ email: invitation.email });
+    if (existingUser) {
+      return res
+        .status(400)
+        .json({ success: false, message: "User already exists!" });
+    }
+
+    const violations = await validatePassword(password, {
+      firstName,
+      lastName,
+      email: invitation.email,
+    });
+    if (violations.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Password does not meet the requirements!",
+        violations,
+      });
+    }
+
+    // the invite link was delivered to this address, so it counts as verified
+    const newUser = new User({
+      firstName,
+      lastName,
+      email: invitation.email,
+      role: invitation.role,
+      emailVerified: true,
+    });
+    await setPassword(newUser, password);
+    const savedUser = await newUser.save();
+
+    invitation.acceptedAt = Date.now();
+    invitation.acceptedBy = savedUser._id;
+    await invitation.save();
+
+    await recordAudit(req, {
+      action: "invitation.accepted",
+      actor: savedUser._id,
+      target: invitation._id,
+      targetModel: "Invitation",
+      metadata: { email: invitation.email, role: invitation.role },
+    });
+
+    await Notification.create({
+      userId: savedUser._id,
+      type: "signup",
+      message: `${savedUser.firstName} just registered on the platform!`,
+    });
+
+    const userWithoutPassword = savedUser.toObject();
+    delete userWithoutPassword.password;
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation accepted successfully!",
+      user: userWithoutPassword,
+    });
+  } catch (error) {
+    console.error("Error accepting invitation:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
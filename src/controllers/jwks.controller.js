@@ -0,0 +1,14 @@
+const { getPublicJwks } = require("../utils/signingKeys");
+
+// @desc     Publish the public keys our JWTs can be verified with
+exports.getJwks = async (req, res) => {
+  try {
+    const jwks = await getPublicJwks();
+    // verifiers refetch when they see an unknown kid, so a short cache is enough
+    res.set("Cache-Control", "public, max-age=300");
+    res.status(200).json(jwks);
+  } catch (error) {
+    console.error("Error fetching JWKS:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
@@ -1,3 +1,4 @@
+const mongoose = require("mongoose");
 const Notification = require("../models/notification.model");
 
 exports.getAllNotifications = async (req, res) => {
@@ -34,14 +35,15 @@ exports.getAllNotifications = async (req, res) => {
 exports.markNotificationAsRead = async (req, res) => {
   try {
     const { notificationId } = req.params;
-    if (!notificationId) {
+    if (!mongoose.isValidObjectId(notificationId)) {
       return res
         .status(400)
-        .json({ success: false, message: "Notification ID is required." });
+        .json({ success: false, message: "Invalid notification ID!" });
     }
 
-    const notification = await Notification.findByIdAndUpdate(
-      notificationId,
+    // scoped to the caller, so someone else's notification looks like a missing one
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, userId: req.user.userId },
       { isRead: true },
       { new: true }
     );
@@ -65,13 +67,16 @@ exports.markNotificationAsRead = async (req, res) => {
 exports.deleteNotification = async (req, res) => {
   try {
     const { notificationId } = req.params;
-    if (!notificationId) {
+    if (!mongoose.isValidObjectId(notificationId)) {
       return res
         .status(400)
-        .json({ success: false, message: "Notification ID is required." });
+        .json({ success: false, message: "Invalid notification ID!" });
     }
 
-    const notification = await Notification.findByIdAndDelete(notificationId);
+    const notification = await Notification.findOneAndDelete({
+      _id: notificationId,
+      userId: req.user.userId,
+    });
     if (!notification) {
       return res
         .status(404)
@@ -87,6 +92,79 @@ exports.deleteNotification = async (req, res) => {
   }
 };
 
+exports.markAllMyNotificationsAsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { userId: req.user.userId, isRead: false },
+      { isRead: true }
+    );
+    res.status(200).json({
+      success: true,
+      message: "All your notifications marked as read successfully!",
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    console.error("Error marking user notifications as read:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+exports.markNotificationAsReadByAdmin = async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+    if (!mongoose.isValidObjectId(notificationId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid notification ID!" });
+    }
+
+    const notification = await Notification.findByIdAndUpdate(
+      notificationId,
+      { isRead: true },
+      { new: true }
+    );
+    if (!notification) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Notification not found!" });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Notification marked as read successfully!",
+      notification,
+    });
+  } catch (error) {
+    console.error("Error marking notification as read by admin:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+exports.deleteNotificationByAdmin = async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+    if (!mongoose.isValidObjectId(notificationId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid notification ID!" });
+    }
+
+    const notification = await Notification.findByIdAndDelete(notificationId);
+    if (!notification) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Notification not found!" });
+    }
+
+    res
+      .status(200)
+      .json({ success: true, message: "Notification deleted successfully!" });
+  } catch (error) {
+    console.error("Error deleting notification by admin:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
 exports.deleteAllNotificationsByAdmin = async (req, res) => {
   try {
     const { userId } = req.user;
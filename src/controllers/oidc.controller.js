@@ -0,0 +1,200 @@
+const User = require("../models/user.model");
+const OidcState = require("../models/oidcState.model");
+const Notification = require("../models/notification.model");
+const {
+  randomToken,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+} = require("../utils/oidc");
+const {
+  issueAuthTokens,
+  signChallengeToken,
+  hashToken,
+  csrfTokensMatch,
+} = require("../utils/token");
+const oidcConfig = require("../../config/oidc");
+const authConfig = require("../../config/auth");
+
+// Binds the authorization request to the browser that started it, so a callback URL
+// can't be replayed in someone else's browser to sign them in to the attacker's account.
+// Lax, because the provider sends the browser back with a top-level GET.
+const stateCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "Lax",
+  path: "/api/v1/auth/oidc",
+};
+
+const redirectWithError = (res, error) => {
+  res.redirect(`${oidcConfig.failureRedirect}?error=${encodeURIComponent(error)}`);
+};
+
+// Find the user linked to this identity, link it to an account with the same verified email,
+// or create a new password-less account
+const findOrCreateUser = async (provider, claims) => {
+  const linkedUser = await User.findOne({
+    "identities.provider": provider.id,
+    "identities.subject": claims.sub,
+  });
+  if (linkedUser) {
+    return linkedUser;
+  }
+
+  const emailVerified =
+    claims.email_verified === true || claims.email_verified === "true";
+  if (!claims.email || !emailVerified) {
+    return null;
+  }
+  const identity = {
+    provider: provider.id,
+    subject: claims.sub,
+    email: claims.email,
+  };
+
+  const existingUser = await User.findOne({ email: claims.email });
+  if (existingUser) {
+    // nobody proved they own an unverified account, so its password can't be trusted once the
+    // real owner of the address signs in
+    if (!existingUser.emailVerified) {
+      existingUser.password = undefined;
+      existingUser.tokenVersion += 1;
+    }
+    existingUser.identities.push(identity);
+    existingUser.emailVerified = true;
+    return existingUser.save();
+  }
+
+  const [firstName, ...otherNames] = (claims.name || claims.email.split("@")[0]).split(" ");
+  const newUser = await User.create({
+    firstName: claims.given_name || firstName,
+    lastName: claims.family_name || otherNames.join(" ") || firstName,
+    email: claims.email,
+    role: "user",
+    emailVerified: true,
+    identities: [identity],
+    ...(claims.picture && { userImage: claims.picture }),
+  });
+
+  await Notification.create({
+    userId: newUser._id,
+    type: "signup",
+    message: `${newUser.firstName} just registered on the platform!`,
+  });
+  return newUser;
+};
+
+// @desc     List the enabled sign-in providers
+exports.getProviders = async (req, res) => {
+  try {
+    const providers = Object.values(oidcConfig.providers).map(({ id, name }) => ({
+      id,
+      name,
+      authorizationUrl: `/api/v1/auth/oidc/${id}`,
+    }));
+    res.status(200).json({
+      success: true,
+      message: "Sign-in providers fetched successfully!",
+      providers,
+    });
+  } catch (error) {
+    console.error("Error fetching sign-in providers:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Redirect to the provider to sign in
+exports.startSignIn = async (req, res) => {
+  try {
+    const provider = oidcConfig.providers[req.params.provider];
+    if (!provider) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Sign-in provider not found!" });
+    }
+    const state = randomToken();
+    const nonce = randomToken();
+    const { codeVerifier, codeChallenge } = createPkcePair();
+    await OidcState.create({
+      state,
+      provider: provider.id,
+      nonce,
+      codeVerifier,
+      expiresAt: Date.now() + oidcConfig.stateTtlMinutes * 60 * 1000,
+    });
+
+    const authorizationUrl = await buildAuthorizationUrl(provider, {
+      state,
+      nonce,
+      codeChallenge,
+    });
+    res.cookie("oidcState", hashToken(state), {
+      ...stateCookieOptions,
+      maxAge: oidcConfig.stateTtlMinutes * 60 * 1000,
+    });
+    res.redirect(authorizationUrl);
+  } catch (error) {
+    console.error("Error starting provider sign-in:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Finish signing in when the provider redirects back
+exports.handleCallback = async (req, res) => {
+  try {
+    const provider = oidcConfig.providers[req.params.provider];
+    if (!provider) {
+      return redirectWithError(res, "unknown_provider");
+    }
+    const { code, state, error } = req.query;
+    const expectedState = req.cookies.oidcState;
+    res.clearCookie("oidcState", stateCookieOptions);
+    if (error) {
+      return redirectWithError(res, error);
+    }
+    if (!code || !state) {
+      return redirectWithError(res, "invalid_request");
+    }
+    if (!csrfTokensMatch(expectedState, hashToken(String(state)))) {
+      return redirectWithError(res, "invalid_state");
+    }
+    // each authorization request can only be completed once
+    const pendingRequest = await OidcState.findOneAndDelete({
+      state,
+      provider: provider.id,
+      expiresAt: { $gt: Date.now() },
+    });
+    if (!pendingRequest) {
+      return redirectWithError(res, "invalid_state");
+    }
+
+    const tokens = await exchangeCode(provider, {
+      code,
+      codeVerifier: pendingRequest.codeVerifier,
+    });
+    const claims = await verifyIdToken(provider, tokens.id_token, {
+      nonce: pendingRequest.nonce,
+    });
+    const user = await findOrCreateUser(provider, claims);
+    if (!user) {
+      return redirectWithError(res, "email_not_verified");
+    }
+
+    // the same second-factor rules apply as for password sign-in
+    if (user.twoFactorEnabled) {
+      const challengeToken = await signChallengeToken(user, "2fa");
+      return res.redirect(`${oidcConfig.twoFactorRedirect}?challengeToken=${challengeToken}`);
+    }
+    if (authConfig.requireAdminTwoFactor && user.role === "admin") {
+      const challengeToken = await signChallengeToken(user, "2fa-setup");
+      return res.redirect(`${oidcConfig.twoFactorRedirect}?setup=true&challengeToken=${challengeToken}`);
+    }
+
+    await issueAuthTokens(req, res, user);
+    res.redirect(oidcConfig.successRedirect);
+  } catch (error) {
+    console.error("Error completing provider sign-in:", error);
+    redirectWithError(res, "server_error");
+  }
+};
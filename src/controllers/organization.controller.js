@@ -0,0 +1,465 @@
+const mongoose = require("mongoose");
+const Organization = require("../models/organization.model");
+const User = require("../models/user.model");
+const Course = require("../models/course.model");
+const CourseRegistration = require("../models/course.registration");
+const Workshop = require("../models/workshop.model");
+const Notification = require("../models/notification.model");
+const { organizationRoles } = require("../../config/permissions");
+const { recordAudit } = require("../utils/audit");
+const { approvedRegistrationFilter } = require("../utils/enrollments");
+
+const memberFields = "firstName lastName email userImage role";
+
+// @desc     Create an organization
+exports.createOrganization = async (req, res) => {
+  try {
+    const { name, description, contactEmail } = req.body;
+    if (!name) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Organization name is required!" });
+    }
+    const existingOrganization = await Organization.findOne({ name });
+    if (existingOrganization) {
+      return res.status(400).json({
+        success: false,
+        message: "Organization with this name already exists!",
+      });
+    }
+    const organization = await Organization.create({
+      name,
+      description,
+      contactEmail,
+      createdBy: req.user.userId,
+    });
+
+    await recordAudit(req, {
+      action: "organization.created",
+      target: organization._id,
+      targetModel: "Organization",
+      metadata: { name },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Organization created successfully!",
+      organization,
+    });
+  } catch (error) {
+    console.error("Error creating organization:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     List every organization
+exports.getOrganizations = async (req, res) => {
+  try {
+    const organizations = await Organization.aggregate([
+      { $sort: { name: 1 } },
+      {
+        $project: {
+          name: 1,
+          description: 1,
+          contactEmail: 1,
+          createdAt: 1,
+          updatedAt: 1,
+          memberCount: { $size: "$members" },
+        },
+      },
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Organizations fetched successfully!",
+      organizations,
+    });
+  } catch (error) {
+    console.error("Error fetching organizations:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     List the organizations the logged-in user belongs to
+exports.getMyOrganizations = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const organizations = await Organization.find({ "members.user": userId }).sort(
+      "name"
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Your organizations fetched successfully!",
+      organizations: organizations.map((organization) => ({
+        _id: organization._id,
+        name: organization.name,
+        description: organization.description,
+        myRole: organization.members.find(
+          (member) => member.user.toString() === userId.toString()
+        ).role,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching my organizations:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Get an organization with its members
+exports.getOrganization = async (req, res) => {
+  try {
+    // loaded by authorizeOrganizationAdmin
+    const organization = await req.organization.populate(
+      "members.user",
+      memberFields
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Organization fetched successfully!",
+      organization,
+    });
+  } catch (error) {
+    console.error("Error fetching organization:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Update an organization's details
+exports.updateOrganization = async (req, res) => {
+  try {
+    const { organizationId } = req.params;
+    const { name, description, contactEmail } = req.body;
+    if (!mongoose.isValidObjectId(organizationId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid organization ID!" });
+    }
+    const organization = await Organization.findById(organizationId);
+    if (!organization) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Organization not found!" });
+    }
+    if (name && name !== organization.name) {
+      const existingOrganization = await Organization.findOne({ name });
+      if (existingOrganization) {
+        return res.status(400).json({
+          success: false,
+          message: "Organization with this name already exists!",
+        });
+      }
+    }
+    organization.name = name || organization.name;
+    organization.description = description ?? organization.description;
+    organization.contactEmail = contactEmail ?? organization.contactEmail;
+    await organization.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Organization updated successfully!",
+      organization,
+    });
+  } catch (error) {
+    console.error("Error updating organization:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Delete an organization that no longer has courses or workshops
+exports.deleteOrganization = async (req, res) => {
+  try {
+    const { organizationId } = req.params;
+    if (!mongoose.isValidObjectId(organizationId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid organization ID!" });
+    }
+    const [courses, workshops] = await Promise.all([
+      Course.countDocuments({ organization: organizationId }),
+      Workshop.countDocuments({ organization: organizationId }),
+    ]);
+    if (courses > 0 || workshops > 0) {
+      return res.status(400).json({
+        success: false,
+        message:
+          "Move or delete this organization's courses and workshops first!",
+      });
+    }
+    const organization = await Organization.findByIdAndDelete(organizationId);
+    if (!organization) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Organization not found!" });
+    }
+
+    await recordAudit(req, {
+      action: "organization.deleted",
+      target: organization._id,
+      targetModel: "Organization",
+      metadata: { name: organization.name },
+    });
+
+    res
+      .status(200)
+      .json({ success: true, message: "Organization deleted successfully!" });
+  } catch (error) {
+    console.error("Error deleting organization:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Add a user to an organization
+exports.addOrganizationMember = async (req, res) => {
+  try {
+    const { email, role = "member" } = req.body;
+    if (!email) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Email is required!" });
+    }
+    if (!organizationRoles.includes(role)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid organization role!" });
+    }
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found!" });
+    }
+    // loaded by authorizeOrganizationAdmin
+    const organization = req.organization;
+    const alreadyMember = organization.members.some(
+      (member) => member.user.toString() === user._id.toString()
+    );
+    if (alreadyMember) {
+      return res.status(400).json({
+        success: false,
+        message: "This user is already a member of the organization!",
+      });
+    }
+    organization.members.push({ user: user._id, role });
+    await organization.save();
+
+    await recordAudit(req, {
+      action: "organization.member.added",
+      target: organization._id,
+      targetModel: "Organization",
+      metadata: { userId: user._id, role },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Member added successfully!",
+      member: { user: user._id, role },
+    });
+  } catch (error) {
+    console.error("Error adding organization member:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Change a member's role in an organization
+exports.updateOrganizationMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+    if (!organizationRoles.includes(role)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid organization role!" });
+    }
+    const organization = req.organization;
+    const member = organization.members.find(
+      (member) => member.user.toString() === userId
+    );
+    if (!member) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Member not found!" });
+    }
+    const previousRole = member.role;
+    member.role = role;
+    await organization.save();
+
+    await recordAudit(req, {
+      action: "organization.member.updated",
+      target: organization._id,
+      targetModel: "Organization",
+      metadata: { userId, from: previousRole, to: role },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Member role updated successfully!",
+      member,
+    });
+  } catch (error) {
+    console.error("Error updating organization member:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Remove a member from an organization
+exports.removeOrganizationMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const organization = req.organization;
+    const member = organization.members.find(
+      (member) => member.user.toString() === userId
+    );
+    if (!member) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Member not found!" });
+    }
+    organization.members = organization.members.filter(
+      (member) => member.user.toString() !== userId
+    );
+    await organization.save();
+
+    await recordAudit(req, {
+      action: "organization.member.removed",
+      target: organization._id,
+      targetModel: "Organization",
+      metadata: { userId, role: member.role },
+    });
+
+    res
+      .status(200)
+      .json({ success: true, message: "Member removed successfully!" });
+  } catch (error) {
+    console.error("Error removing organization member:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     List an organization's courses
+exports.getOrganizationCourses = async (req, res) => {
+  try {
+    const courses = await Course.find({ organization: req.organization._id })
+      .sort("title")
+      .select("-registeredUsers");
+
+    res.status(200).json({
+      success: true,
+      message: "Organization courses fetched successfully!",
+      courses,
+    });
+  } catch (error) {
+    console.error("Error fetching organization courses:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     List an organization's workshops
+exports.getOrganizationWorkshops = async (req, res) => {
+  try {
+    const workshops = await Workshop.find({
+      organization: req.organization._id,
+    }).sort({ date: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Organization workshops fetched successfully!",
+      workshops,
+    });
+  } catch (error) {
+    console.error("Error fetching organization workshops:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Notifications about an organization's courses and workshops
+exports.getOrganizationNotifications = async (req, res) => {
+  try {
+    const notifications = await Notification.find({
+      organization: req.organization._id,
+    })
+      .populate("userId", "firstName lastName userImage email")
+      .sort({ createdAt: -1 })
+      .select("-userMessage");
+
+    res.status(200).json({
+      success: true,
+      message: "Notifications fetched successfully!",
+      notifications,
+    });
+  } catch (error) {
+    console.error("Error fetching organization notifications:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Dashboard statistics limited to one organization
+exports.getOrganizationMetrics = async (req, res) => {
+  try {
+    const organization = req.organization;
+    const courseIds = await Course.find({
+      organization: organization._id,
+    }).distinct("_id");
+
+    const [totalRegistrations, totalWorkshops, workshopAttendance] =
+      await Promise.all([
+        CourseRegistration.countDocuments({
+          course: { $in: courseIds },
+          ...approvedRegistrationFilter,
+        }),
+        Workshop.countDocuments({ organization: organization._id }),
+        Workshop.aggregate([
+          { $match: { organization: organization._id } },
+          { $group: { _id: null, count: { $sum: { $size: "$attendees" } } } },
+        ]),
+      ]);
+
+    const topCourses = await CourseRegistration.aggregate([
+      { $match: { course: { $in: courseIds }, ...approvedRegistrationFilter } },
+      { $group: { _id: "$course", registrationCount: { $sum: 1 } } },
+      { $sort: { registrationCount: -1 } },
+      { $limit: 5 },
+      {
+        $lookup: {
+          from: "courses",
+          localField: "_id",
+          foreignField: "_id",
+          as: "course",
+        },
+      },
+      { $unwind: "$course" },
+      {
+        $project: {
+          _id: 0,
+          courseId: "$_id",
+          courseTitle: "$course.title",
+          registrationCount: 1,
+        },
+      },
+    ]);
+
+    const memberRoles = organizationRoles.map((role) => ({
+      _id: role,
+      count: organization.members.filter((member) => member.role === role)
+        .length,
+    }));
+
+    res.status(200).json({
+      success: true,
+      message: "Successfully fetched organization metrics",
+      metrics: {
+        totalCourses: courseIds.length,
+        totalMembers: organization.members.length,
+        totalRegistrations,
+        totalWorkshops,
+        totalWorkshopAttendees: workshopAttendance[0]?.count || 0,
+        topCourses,
+        memberRoles,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching organization metrics:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
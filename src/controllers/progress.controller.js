@@ -0,0 +1,140 @@
+const mongoose = require("mongoose");
+const Lesson = require("../models/lesson.model");
+const User = require("../models/user.model");
+const Progress = require("../models/progress.model");
+const { getCourseProgress } = require("../utils/progress");
+const { getQuizResults } = require("../utils/quizzes");
+const {
+  courseCertificateBlocker,
+  issueCertificate,
+} = require("../utils/certificates");
+
+// Lesson in :lessonId of the module and course in the route, learners need a registration to track it
+const findTrackedLesson = async (req, res) => {
+  const { moduleId, lessonId } = req.params;
+  if (!req.registration) {
+    res.status(403).json({
+      success: false,
+      message: "Only registered learners can track their progress!",
+    });
+    return null;
+  }
+  const lesson =
+    mongoose.isValidObjectId(moduleId) &&
+    mongoose.isValidObjectId(lessonId) &&
+    (await Lesson.findOne({
+      _id: lessonId,
+      module: moduleId,
+      course: req.course._id,
+    }));
+  if (!lesson) {
+    res.status(404).json({ success: false, message: "Lesson not found!" });
+    return null;
+  }
+  return lesson;
+};
+
+// Start or update the learner's record for a lesson
+const touchProgress = (userId, lesson, update = {}) =>
+  Progress.findOneAndUpdate(
+    { user: userId, lesson: lesson._id },
+    {
+      $set: { ...update, lastViewedAt: new Date() },
+      $setOnInsert: { course: lesson.course, startedAt: new Date() },
+    },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+// @desc     Save where the learner is in a lesson
+exports.updateLessonProgress = async (req, res) => {
+  try {
+    const { position } = req.body;
+    const lesson = await findTrackedLesson(req, res);
+    if (!lesson) {
+      return;
+    }
+    const lastPosition = position === undefined ? undefined : Number(position);
+    if (lastPosition !== undefined && !(lastPosition >= 0)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Position must be a positive number!" });
+    }
+    const progress = await touchProgress(
+      req.user.userId,
+      lesson,
+      lastPosition === undefined ? {} : { lastPosition }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Lesson progress saved successfully!",
+      progress,
+    });
+  } catch (error) {
+    console.error("Error saving lesson progress:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Mark a lesson as completed
+exports.completeLesson = async (req, res) => {
+  try {
+    const lesson = await findTrackedLesson(req, res);
+    if (!lesson) {
+      return;
+    }
+    const progress = await touchProgress(req.user.userId, lesson);
+    if (!progress.completedAt) {
+      progress.completedAt = new Date();
+      await progress.save();
+    }
+    const courseProgress = await getCourseProgress(
+      [req.course._id],
+      [req.user.userId]
+    );
+
+    // finishing the last lesson earns the certificate when nothing else is outstanding
+    let certificate = null;
+    if (!(await courseCertificateBlocker(req.user.userId, req.course))) {
+      const user = await User.findById(req.user.userId);
+      ({ certificate } = await issueCertificate(user, { course: req.course }));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Lesson marked as completed!",
+      progress,
+      courseProgress: courseProgress(req.user.userId, req.course._id),
+      certificate,
+    });
+  } catch (error) {
+    console.error("Error completing lesson:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Get the learner's progress through a course, lesson by lesson, with their quiz results
+exports.getMyCourseProgress = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const courseId = req.course._id;
+    const [courseProgress, records, quizResults] = await Promise.all([
+      getCourseProgress([courseId], [userId]),
+      Progress.find({ course: courseId, user: userId }).select(
+        "lesson startedAt completedAt lastPosition lastViewedAt"
+      ),
+      getQuizResults(courseId, [userId]),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: "Course progress fetched successfully!",
+      progress: courseProgress(userId, courseId),
+      lessons: records,
+      quizzes: quizResults(userId),
+    });
+  } catch (error) {
+    console.error("Error fetching course progress:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
@@ -0,0 +1,475 @@
+const mongoose = require("mongoose");
+const Quiz = require("../models/quiz.model");
+const QuizAttempt = require("../models/quizAttempt.model");
+const Lesson = require("../models/lesson.model");
+const CourseRegistration = require("../models/course.registration");
+const { canManageCourse } = require("../middlewares/ownership.middleware");
+const {
+  questionError,
+  prepareQuestion,
+  gradeAttempt,
+  toLearnerQuiz,
+  getQuizResults,
+} = require("../utils/quizzes");
+const { approvedRegistrationFilter } = require("../utils/enrollments");
+
+// answers sent just after the time limit still count, to allow for slow connections
+const SUBMIT_GRACE_MS = 30 * 1000;
+
+const findQuiz = (courseId, quizId) =>
+  mongoose.isValidObjectId(quizId)
+    ? Quiz.findOne({ _id: quizId, course: courseId })
+    : null;
+
+// Check and normalise the quiz fields sent by an instructor. Returns { fields } or { error }.
+const readQuizFields = async (course, body, quiz = null) => {
+  const fields = {};
+  if (body.title !== undefined) {
+    fields.title = body.title;
+  }
+  if (body.description !== undefined) {
+    fields.description = body.description;
+  }
+  if (body.passMark !== undefined) {
+    fields.passMark = Number(body.passMark);
+    if (!(fields.passMark >= 0 && fields.passMark <= 100)) {
+      return { error: "Pass mark must be a percentage between 0 and 100!" };
+    }
+  }
+  if (body.maxAttempts !== undefined) {
+    fields.maxAttempts = Number(body.maxAttempts);
+    if (!(Number.isInteger(fields.maxAttempts) && fields.maxAttempts >= 0)) {
+      return { error: "Max attempts must be a whole number, 0 for unlimited!" };
+    }
+  }
+  if (body.timeLimitMinutes !== undefined) {
+    fields.timeLimitMinutes = Number(body.timeLimitMinutes);
+    if (!(Number.isFinite(fields.timeLimitMinutes) && fields.timeLimitMinutes >= 0)) {
+      return { error: "Time limit must be a number of minutes, 0 for none!" };
+    }
+  }
+  if (body.published !== undefined) {
+    fields.published = body.published === true || body.published === "true";
+  }
+  if (body.lessonId !== undefined) {
+    fields.lesson = body.lessonId || null;
+    if (
+      fields.lesson &&
+      !(
+        mongoose.isValidObjectId(fields.lesson) &&
+        (await Lesson.exists({ _id: fields.lesson, course: course._id }))
+      )
+    ) {
+      return { error: "Lesson not found in this course!" };
+    }
+  }
+  if (body.questions !== undefined) {
+    if (
+      !Array.isArray(body.questions) ||
+      body.questions.some((question) => !question || typeof question !== "object")
+    ) {
+      return { error: "Questions must be a list!" };
+    }
+    // questions sent back with their _id keep it, so attempts in progress still match their answers
+    const existingIds = new Set(
+      (quiz?.questions || []).map((question) => question._id.toString())
+    );
+    fields.questions = body.questions.map((question) => {
+      const prepared = prepareQuestion(question);
+      if (existingIds.delete(String(question._id))) {
+        prepared._id = question._id;
+      }
+      return prepared;
+    });
+    const error = fields.questions
+      .map((question, index) => questionError(question, index))
+      .find(Boolean);
+    if (error) {
+      return { error };
+    }
+  }
+  return { fields };
+};
+
+// A started attempt whose time ran out is closed with no score
+const closeExpiredAttempt = async (attempt) => {
+  if (
+    attempt &&
+    !attempt.submittedAt &&
+    attempt.expiresAt &&
+    attempt.expiresAt.getTime() + SUBMIT_GRACE_MS < Date.now()
+  ) {
+    attempt.submittedAt = attempt.expiresAt;
+    attempt.timedOut = true;
+    await attempt.save();
+    return null;
+  }
+  return attempt;
+};
+
+// @desc     List a course's quizzes, with the learner's results or, for instructors, the full quizzes
+exports.getCourseQuizzes = async (req, res) => {
+  try {
+    // loaded by authorizeCourseLearner
+    const course = req.course;
+    if (!req.registration && (await canManageCourse(req.user, course))) {
+      const quizzes = await Quiz.find({ course: course._id }).sort({
+        createdAt: 1,
+      });
+      return res.status(200).json({
+        success: true,
+        message: "Quizzes fetched successfully!",
+        quizzes,
+      });
+    }
+
+    const [quizzes, results] = await Promise.all([
+      Quiz.find({ course: course._id, published: true }).sort({ createdAt: 1 }),
+      getQuizResults(course._id, [req.user.userId]),
+    ]);
+    const myResults = results(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: "Quizzes fetched successfully!",
+      quizzes: quizzes.map((quiz) => ({
+        ...toLearnerQuiz(quiz),
+        questions: undefined,
+        questionCount: quiz.questions.length,
+        result: myResults.find(
+          (result) => result.quizId.toString() === quiz._id.toString()
+        ),
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching quizzes:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Create a quiz for a course or one of its lessons
+exports.createQuiz = async (req, res) => {
+  try {
+    const course = req.course;
+    if (!req.body.title) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Quiz title is required!" });
+    }
+    const { fields, error } = await readQuizFields(course, req.body);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    if (fields.published && !fields.questions?.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Add questions before publishing this quiz!",
+      });
+    }
+    const quiz = await Quiz.create({ ...fields, course: course._id });
+
+    res.status(201).json({
+      success: true,
+      message: "Quiz created successfully!",
+      quiz,
+    });
+  } catch (error) {
+    console.error("Error creating quiz:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Update a quiz, submitted attempts keep the grade they were given
+exports.updateQuiz = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    const quiz = await findQuiz(req.course._id, quizId);
+    if (!quiz) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Quiz not found!" });
+    }
+    const { fields, error } = await readQuizFields(req.course, req.body, quiz);
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    quiz.set(fields);
+    if (quiz.published && quiz.questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Add questions before publishing this quiz!",
+      });
+    }
+    await quiz.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Quiz updated successfully!",
+      quiz,
+    });
+  } catch (error) {
+    console.error("Error updating quiz:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Delete a quiz and its attempts
+exports.deleteQuiz = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    const quiz = await findQuiz(req.course._id, quizId);
+    if (!quiz) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Quiz not found!" });
+    }
+    await QuizAttempt.deleteMany({ quiz: quiz._id });
+    await quiz.deleteOne();
+
+    res
+      .status(200)
+      .json({ success: true, message: "Quiz deleted successfully!" });
+  } catch (error) {
+    console.error("Error deleting quiz:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Start an attempt, or continue the one in progress
+exports.startQuizAttempt = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    const { userId } = req.user;
+    if (!req.registration) {
+      return res.status(403).json({
+        success: false,
+        message: "Only registered learners can take quizzes!",
+      });
+    }
+    const quiz = await findQuiz(req.course._id, quizId);
+    if (!quiz || !quiz.published) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Quiz not found!" });
+    }
+
+    let attempt = await closeExpiredAttempt(
+      await QuizAttempt.findOne({ quiz: quiz._id, user: userId, submittedAt: null })
+    );
+    if (!attempt) {
+      const attemptCount = await QuizAttempt.countDocuments({
+        quiz: quiz._id,
+        user: userId,
+      });
+      if (quiz.maxAttempts && attemptCount >= quiz.maxAttempts) {
+        return res.status(400).json({
+          success: false,
+          message: "You have used all your attempts for this quiz!",
+        });
+      }
+      try {
+        attempt = await QuizAttempt.create({
+          quiz: quiz._id,
+          course: req.course._id,
+          user: userId,
+          expiresAt: quiz.timeLimitMinutes
+            ? new Date(Date.now() + quiz.timeLimitMinutes * 60 * 1000)
+            : null,
+        });
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        // another request started an attempt at the same time, continue that one
+        attempt = await QuizAttempt.findOne({
+          quiz: quiz._id,
+          user: userId,
+          submittedAt: null,
+        });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Quiz attempt started!",
+      attempt: {
+        _id: attempt._id,
+        startedAt: attempt.startedAt,
+        expiresAt: attempt.expiresAt,
+      },
+      quiz: toLearnerQuiz(quiz),
+    });
+  } catch (error) {
+    console.error("Error starting quiz attempt:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Submit the answers of an attempt and grade them
+exports.submitQuizAttempt = async (req, res) => {
+  try {
+    const { quizId, attemptId } = req.params;
+    const { answers } = req.body;
+    const quiz = await findQuiz(req.course._id, quizId);
+    const attempt =
+      quiz &&
+      mongoose.isValidObjectId(attemptId) &&
+      (await QuizAttempt.findOne({
+        _id: attemptId,
+        quiz: quiz._id,
+        user: req.user.userId,
+      }));
+    if (!attempt) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Quiz attempt not found!" });
+    }
+    if (attempt.submittedAt) {
+      return res.status(400).json({
+        success: false,
+        message: "This attempt has already been submitted!",
+      });
+    }
+    if (!(await closeExpiredAttempt(attempt))) {
+      return res.status(400).json({
+        success: false,
+        message: "The time limit for this attempt has passed!",
+        attempt,
+      });
+    }
+
+    // only the first of two submits sent at the same time gets graded
+    const submitted = await QuizAttempt.findOneAndUpdate(
+      { _id: attempt._id, submittedAt: null },
+      { ...gradeAttempt(quiz, answers), submittedAt: new Date() },
+      { new: true }
+    );
+    if (!submitted) {
+      return res.status(400).json({
+        success: false,
+        message: "This attempt has already been submitted!",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: submitted.passed
+        ? "Congratulations, you passed this quiz!"
+        : "Quiz submitted, you did not reach the pass mark this time.",
+      attempt: submitted,
+    });
+  } catch (error) {
+    console.error("Error submitting quiz attempt:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Get the learner's attempt history for a quiz
+exports.getMyQuizAttempts = async (req, res) => {
+  try {
+    const { quizId } = req.params;
+    const quiz = await findQuiz(req.course._id, quizId);
+    if (!quiz) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Quiz not found!" });
+    }
+    const attempts = await QuizAttempt.find({
+      quiz: quiz._id,
+      user: req.user.userId,
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Quiz attempts fetched successfully!",
+      attemptsLeft: quiz.maxAttempts
+        ? Math.max(quiz.maxAttempts - attempts.length, 0)
+        : null,
+      attempts,
+    });
+  } catch (error) {
+    console.error("Error fetching quiz attempts:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// Text that starts like a formula is prefixed with a quote so spreadsheets show it as text
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// @desc     Export every learner's quiz results for a course, as JSON or ?format=csv
+exports.exportQuizResults = async (req, res) => {
+  try {
+    const course = req.course;
+    const registrations = await CourseRegistration.find({
+      course: course._id,
+      ...approvedRegistrationFilter,
+    }).populate("enrolledUser", "firstName lastName email");
+    const learners = registrations
+      .map((registration) => registration.enrolledUser)
+      .filter(Boolean);
+    const results = await getQuizResults(
+      course._id,
+      learners.map((learner) => learner._id)
+    );
+
+    const rows = learners.flatMap((learner) =>
+      results(learner._id).map((result) => ({
+        learnerId: learner._id,
+        firstName: learner.firstName,
+        lastName: learner.lastName,
+        email: learner.email,
+        quiz: result.title,
+        attempts: result.attempts,
+        bestPercentage: result.bestPercentage,
+        passed: result.passed,
+        lastSubmittedAt: result.lastSubmittedAt,
+      }))
+    );
+
+    if (req.query.format === "csv") {
+      const columns = [
+        "learnerId",
+        "firstName",
+        "lastName",
+        "email",
+        "quiz",
+        "attempts",
+        "bestPercentage",
+        "passed",
+        "lastSubmittedAt",
+      ];
+      const csv = [columns.join(",")]
+        .concat(
+          rows.map((row) =>
+            columns
+              .map((column) =>
+                csvCell(
+                  row[column] instanceof Date
+                    ? row[column].toISOString()
+                    : row[column]
+                )
+              )
+              .join(",")
+          )
+        )
+        .join("\n");
+      res.attachment(`${course.title.replace(/[^\w-]+/g, "-")}-quiz-results.csv`);
+      return res.type("text/csv").status(200).send(csv);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Quiz results fetched successfully!",
+      results: rows,
+    });
+  } catch (error) {
+    console.error("Error exporting quiz results:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
@@ -0,0 +1,154 @@
+const Role = require("../models/role.model");
+const {
+  roles,
+  permissions,
+  defaultRolePermissions,
+} = require("../../config/permissions");
+const {
+  getRolePermissions,
+  clearPermissionCache,
+} = require("../utils/permissions");
+const { recordAudit } = require("../utils/audit");
+
+// admins always hold every permission so they can't lock themselves out
+const isEditableRole = (role) => roles.includes(role) && role !== "admin";
+
+// @desc     List every permission that can be granted
+exports.getPermissions = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      message: "Permissions fetched successfully!",
+      permissions: Object.entries(permissions).map(([name, description]) => ({
+        name,
+        description,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching permissions:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     List the roles with the permissions they currently grant
+exports.getRoles = async (req, res) => {
+  try {
+    const overrides = await Role.find().populate("updatedBy", "firstName lastName email");
+    const rolesWithPermissions = await Promise.all(
+      roles.map(async (name) => {
+        const override = overrides.find((role) => role.name === name);
+        return {
+          name,
+          permissions: await getRolePermissions(name),
+          editable: isEditableRole(name),
+          isDefault: !override,
+          updatedBy: override?.updatedBy || null,
+          updatedAt: override?.updatedAt || null,
+        };
+      })
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Roles fetched successfully!",
+      roles: rolesWithPermissions,
+    });
+  } catch (error) {
+    console.error("Error fetching roles:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Replace the permissions a role grants
+exports.updateRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions: requested } = req.body;
+    if (!isEditableRole(role)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "This role cannot be edited!" });
+    }
+    if (
+      !Array.isArray(requested) ||
+      requested.some((permission) => typeof permission !== "string")
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: "Permissions must be a list of permission names!",
+      });
+    }
+    const invalidPermissions = requested.filter(
+      (permission) => !Object.hasOwn(permissions, permission)
+    );
+    if (invalidPermissions.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid permissions: ${invalidPermissions.join(", ")}!`,
+      });
+    }
+    const previousPermissions = await getRolePermissions(role);
+    const updatedRole = await Role.findOneAndUpdate(
+      { name: role },
+      { permissions: [...new Set(requested)], updatedBy: req.user.userId },
+      { new: true, upsert: true, runValidators: true }
+    );
+    clearPermissionCache();
+
+    await recordAudit(req, {
+      action: "role.permissions.updated",
+      target: updatedRole._id,
+      targetModel: "Role",
+      metadata: { role, from: previousPermissions, to: updatedRole.permissions },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Role permissions updated successfully!",
+      role: updatedRole,
+    });
+  } catch (error) {
+    console.error("Error updating role permissions:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Go back to a role's default permissions
+exports.resetRolePermissions = async (req, res) => {
+  try {
+    const { role } = req.params;
+    if (!isEditableRole(role)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "This role cannot be edited!" });
+    }
+    const deletedRole = await Role.findOneAndDelete({ name: role });
+    if (!deletedRole) {
+      return res.status(404).json({
+        success: false,
+        message: "This role already uses its default permissions!",
+      });
+    }
+    clearPermissionCache();
+
+    await recordAudit(req, {
+      action: "role.permissions.reset",
+      target: deletedRole._id,
+      targetModel: "Role",
+      metadata: {
+        role,
+        from: deletedRole.permissions,
+        to: defaultRolePermissions[role] || [],
+      },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Role permissions reset successfully!",
+      role: { name: role, permissions: defaultRolePermissions[role] || [] },
+    });
+  } catch (error) {
+    console.error("Error resetting role permissions:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
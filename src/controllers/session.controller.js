@@ -0,0 +1,123 @@
+const mongoose = require("mongoose");
+const Session = require("../models/session.model");
+const User = require("../models/user.model");
+const { revokeSession } = require("../utils/token");
+
+const activeSessionsFilter = (userId) => ({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: Date.now() },
+});
+
+// @desc     Get the signed-in user's active sessions
+exports.getMySessions = async (req, res) => {
+  try {
+    const { userId, sessionId } = req.user;
+    const sessions = await Session.find(activeSessionsFilter(userId)).sort({
+      lastSeenAt: -1,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Sessions fetched successfully!",
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.toString() === sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Sign out one of the signed-in user's devices
+exports.revokeMySession = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { sessionId } = req.params;
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid session ID!" });
+    }
+    const session = await Session.findOne({
+      _id: sessionId,
+      user: userId,
+      revokedAt: null,
+    });
+    if (!session) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Session not found!" });
+    }
+    await revokeSession(session._id);
+
+    res
+      .status(200)
+      .json({ success: true, message: "Session revoked successfully!" });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Get any user's active sessions
+exports.getUserSessionsByAdmin = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid user ID!" });
+    }
+    const user = await User.findById(userId);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found!" });
+    }
+    const sessions = await Session.find(activeSessionsFilter(userId)).sort({
+      lastSeenAt: -1,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "User sessions fetched successfully!",
+      sessions,
+    });
+  } catch (error) {
+    console.error("Error fetching user sessions by admin:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// @desc     Revoke one of any user's sessions
+exports.revokeUserSessionByAdmin = async (req, res) => {
+  try {
+    const { userId, sessionId } = req.params;
+    if (!mongoose.isValidObjectId(userId) || !mongoose.isValidObjectId(sessionId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid user or session ID!" });
+    }
+    const session = await Session.findOne({
+      _id: sessionId,
+      user: userId,
+      revokedAt: null,
+    });
+    if (!session) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Session not found!" });
+    }
+    await revokeSession(session._id);
+
+    res
+      .status(200)
+      .json({ success: true, message: "Session revoked successfully!" });
+  } catch (error) {
+    console.error("Error revoking user session by admin:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
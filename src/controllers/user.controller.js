@@ -1,5 +1,34 @@
 const User = require("../models/user.model");
 const cloudinary = require("../utils/cloudinaryHelper");
+const { recordAudit } = require("../utils/audit");
+const { revokeAllSessions } = require("../utils/token");
+const { getAccountThrottle, clearAccountLockout } = require("../utils/loginProtection");
+const { sendVerificationEmail } = require("../utils/emailVerification");
+
+// A new email address has to be verified again. Returns false when another account already uses it.
+const changeEmail = async (user, email) => {
+  const newEmail = String(email).trim().toLowerCase();
+  if (newEmail === user.email) {
+    return true;
+  }
+  if (await User.exists({ email: newEmail, _id: { $ne: user._id } })) {
+    return false;
+  }
+  user.email = newEmail;
+  user.emailVerified = false;
+  return true;
+};
+
+const emailTaken = (req, res) => {
+  if (req.file?.filename) {
+    cloudinary.deleteFromCloudinary(req.file.filename).catch((error) =>
+      console.error("Error removing uploaded image:", error)
+    );
+  }
+  return res
+    .status(409)
+    .json({ success: false, message: "Email is already in use!" });
+};
 
 exports.getUserProfile = async (req, res) => {
   try {
@@ -63,6 +92,9 @@ exports.updateUserProfile = async (req, res) => {
         .status(404)
         .json({ success: false, message: "User profile not updated!" });
     }
+    if (!(await changeEmail(user, email))) {
+      return emailTaken(req, res);
+    }
     if (userImage !== user.userImage && user.userImagePublicId) {
       await cloudinary.deleteFromCloudinary(user.userImagePublicId);
     }
@@ -75,19 +107,31 @@ exports.updateUserProfile = async (req, res) => {
     }
     user.firstName = firstName || user.firstName;
     user.lastName = lastName || user.lastName;
-    user.email = email || user.email;
     user.gender = gender || user.gender;
     user.location = location || user.location;
     user.phoneNumber = phoneNumber || user.phoneNumber;
-    user.role = req.body.role || user.role;
 
-    const updateUser = await user.save();
+    const emailChanged = user.isModified("email");
+    let updateUser = await user.save();
+    if (emailChanged) {
+      // the profile is saved even if the email fails, the user can ask for a new link
+      try {
+        await sendVerificationEmail(updateUser);
+      } catch (error) {
+        console.error("Error sending verification email:", error);
+      }
+      // the verification token is now set on this document, load the user again without it
+      updateUser = await User.findById(user._id);
+    }
     res.status(200).json({
       success: true,
       message: "User profile updated successfully!",
       user: updateUser,
     });
   } catch (error) {
+    if (error.code === 11000) {
+      return emailTaken(req, res);
+    }
     console.error("Error editing user profile:", error);
     res.status(500).json({ success: false, message: "Internal Server Error" });
   }
@@ -214,7 +258,7 @@ exports.updateUserProfileByAdmin = async (req, res) => {
         .status(401)
         .json({ success: false, message: "Unauthorized: Please Login." });
     }
-    const { firstName, lastName, email, gender, location, phoneNumber, role } =
+    const { firstName, lastName, email, gender, location, phoneNumber } =
       req.body;
     const userImage = req.file?.path;
     if (!firstName || !lastName || !email) {
@@ -238,6 +282,9 @@ exports.updateUserProfileByAdmin = async (req, res) => {
         .status(404)
         .json({ success: false, message: "User profile not updated!" });
     }
+    if (!(await changeEmail(user, email))) {
+      return emailTaken(req, res);
+    }
     if (userImage !== user.userImage && user.userImagePublicId) {
       await cloudinary.deleteFromCloudinary(user.userImagePublicId);
     }
@@ -250,19 +297,31 @@ exports.updateUserProfileByAdmin = async (req, res) => {
     }
     user.firstName = firstName || user.firstName;
     user.lastName = lastName || user.lastName;
-    user.email = email || user.email;
     user.gender = gender || user.gender;
     user.location = location || user.location;
     user.phoneNumber = phoneNumber || user.phoneNumber;
-    user.role = role || user.role;
 
-    const updateUser = await user.save();
+    const emailChanged = user.isModified("email");
+    let updateUser = await user.save();
+    if (emailChanged) {
+      // the profile is saved even if the email fails, the user can ask for a new link
+      try {
+        await sendVerificationEmail(updateUser);
+      } catch (error) {
+        console.error("Error sending verification email:", error);
+      }
+      // the verification token is now set on this document, load the user again without it
+      updateUser = await User.findById(user._id);
+    }
     res.status(200).json({
       success: true,
       message: "User profile updated successfully!",
       user: updateUser,
     });
   } catch (error) {
+    if (error.code === 11000) {
+      return emailTaken(req, res);
+    }
     console.error("Error updating user profile by admin:", error);
     res.status(500).json({ success: false, message: "Internal Server Error" });
   }
@@ -292,3 +351,101 @@ exports.getUserProfileByAdmin = async (req, res) => {
     res.status(500).json({ success: false, message: "Internal Server Error" });
   }
 };
+
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+    if (!role) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Role is required!" });
+    }
+    if (!User.schema.path("role").enumValues.includes(role)) {
+      return res.status(400).json({ success: false, message: "Invalid role!" });
+    }
+    if (userId === req.user.userId.toString()) {
+      return res
+        .status(400)
+        .json({ success: false, message: "You cannot change your own role!" });
+    }
+    const user = await User.findById(userId);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found!" });
+    }
+    const previousRole = user.role;
+    user.role = role;
+    // the role is part of the access token, so force the user to sign in again
+    user.tokenVersion += 1;
+    const updateUser = await user.save();
+    await revokeAllSessions(user._id);
+
+    await recordAudit(req, {
+      action: "user.role.updated",
+      target: user._id,
+      metadata: { from: previousRole, to: role },
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "User role updated successfully!",
+      user: updateUser,
+    });
+  } catch (error) {
+    console.error("Error updating user role:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+exports.getUserLockout = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const user = await User.findById(userId);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found!" });
+    }
+    const { locked, retryAfter } = getAccountThrottle(user);
+    res.status(200).json({
+      success: true,
+      message: "User lockout status fetched successfully!",
+      lockout: {
+        locked,
+        retryAfter,
+        lockUntil: locked ? user.lockUntil : null,
+        failedLoginAttempts: user.failedLoginAttempts,
+        lastFailedLoginAt: user.lastFailedLoginAt,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching user lockout by admin:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+exports.clearUserLockout = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const user = await clearAccountLockout(userId);
+    if (!user) {
+      return res
+        .status(404)
+        .json({ success: false, message: "User not found!" });
+    }
+
+    await recordAudit(req, {
+      action: "user.lockout.cleared",
+      target: user._id,
+    });
+
+    res
+      .status(200)
+      .json({ success: true, message: "User lockout cleared successfully!" });
+  } catch (error) {
+    console.error("Error clearing user lockout by admin:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
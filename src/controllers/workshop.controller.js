@@ -1,3 +1,4 @@
+const mongoose = require("mongoose");
 const Workshop = require("../models/workshop.model");
 const User = require("../models/user.model");
 const Register = require("../models/register.model");
@@ -5,6 +6,37 @@ const Register = require("../models/register.model");
 const Notification = require("../models/notification.model");
 const cloudinary = require("../utils/cloudinaryHelper");
 const { generateUniqueShareId } = require("../utils/hash");
+const {
+  workshopCertificateBlocker,
+  issueCertificate,
+} = require("../utils/certificates");
+const {
+  seatsLeft,
+  toPublicWorkshop,
+  reserveUserSeat,
+  joinUserWaitlist,
+  reserveGuestSeat,
+  releaseGuestSeat,
+  recountGuests,
+  waitlistPosition,
+  fillFromWaitlist,
+} = require("../utils/waitlist");
+const {
+  publicContentFilter,
+  visibleContentFilter,
+  canAccessOrganizationContent,
+  parseOrganizationId,
+  organizationAssignmentError,
+} = require("../utils/organizations");
+
+// Capacity sent with a workshop: null for no limit, undefined when it isn't a whole number of at least 1
+const readCapacity = (value) => {
+  if (value === null || value === "" || value === "null") {
+    return null;
+  }
+  const capacity = Number(value);
+  return Number.isInteger(capacity) && capacity >= 1 ? capacity : undefined;
+};
 
 exports.getUpcomingWorkshops = async (req, res) => {
   try {
@@ -14,9 +46,11 @@ exports.getUpcomingWorkshops = async (req, res) => {
 
     const today = new Date();
 
-    const total = await Workshop.countDocuments({ date: { $gte: today } });
+    const filter = { ...publicContentFilter, date: { $gte: today } };
+
+    const total = await Workshop.countDocuments(filter);
 
-    const upcomingWorkshops = await Workshop.find({ date: { $gte: today } })
+    const upcomingWorkshops = await Workshop.find(filter)
       .sort({ date: 1 })
       .skip(skip)
       .limit(limit);
@@ -37,7 +71,9 @@ exports.getUpcomingWorkshops = async (req, res) => {
       hasPrevPage: page > 1,
       nextPage: page + 1,
       prevPage: page - 1 > 0 ? page - 1 : null,
-      workshops: upcomingWorkshops,
+      workshops: upcomingWorkshops.map((workshop) =>
+        toPublicWorkshop(workshop, req.user?.userId)
+      ),
     });
   } catch (error) {
     console.error("Error fetching upcoming workshops: ", error);
@@ -53,8 +89,13 @@ exports.getPreviousWorkshops = async (req, res) => {
 
     const today = new Date();
 
-    const total = await Workshop.countDocuments({ date: { $lt: today } });
-    const previousWorkshops = await Workshop.find({ date: { $lt: today } })
+    const filter = {
+      ...(await visibleContentFilter(req.user)),
+      date: { $lt: today },
+    };
+
+    const total = await Workshop.countDocuments(filter);
+    const previousWorkshops = await Workshop.find(filter)
       .sort({ date: -1 })
       .skip(skip)
       .limit(limit);
@@ -75,7 +116,9 @@ exports.getPreviousWorkshops = async (req, res) => {
       hasPrevPage: page > 1,
       nextPage: page + 1,
       prevPage: page - 1 > 0 ? page - 1 : null,
-      workshops: previousWorkshops,
+      workshops: previousWorkshops.map((workshop) =>
+        toPublicWorkshop(workshop, req.user?.userId)
+      ),
     });
   } catch (error) {
     console.error("Error fetching previous workshops:", error);
@@ -91,7 +134,11 @@ exports.getWorkshopById = async (req, res) => {
         .status(400)
         .json({ success: false, message: "Workshop ID is required!" });
     }
-    const workshop = await Workshop.findById(workshopId);
+    // organizations' workshops are listed to their members under /dashboard/organizations
+    const workshop = await Workshop.findOne({
+      ...publicContentFilter,
+      _id: workshopId,
+    });
     if (!workshop) {
       return res
         .status(404)
@@ -100,7 +147,7 @@ exports.getWorkshopById = async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Workshop details fetched successfully.",
-      workshop,
+      workshop: toPublicWorkshop(workshop, req.user?.userId),
     });
   } catch (error) {
     console.error("Error fetching workshop by ID:", error);
@@ -127,7 +174,7 @@ exports.getSharedWorkshop = async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Workshop details fetched successfully.",
-      workshop,
+      workshop: toPublicWorkshop(workshop, req.user?.userId),
     });
   } catch (error) {
     console.error("Error fetching workshop by ID:", error);
@@ -142,6 +189,14 @@ exports.createWorkshop = async (req, res) => {
     // const resource = req.files?.resource?.map(file => file.path);
     const workshopImage = req.file?.path;
     const workshopImagePublicId = req.file?.filename;
+    const organization = parseOrganizationId(req.body.organization);
+    const capacity = readCapacity(req.body.capacity ?? null);
+    if (capacity === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Capacity must be a whole number of at least 1!",
+      });
+    }
 
     let facilitator;
     try {
@@ -182,6 +237,17 @@ exports.createWorkshop = async (req, res) => {
       });
     }
 
+    const organizationError = await organizationAssignmentError(
+      req.user,
+      null,
+      organization
+    );
+    if (organizationError) {
+      return res
+        .status(organizationError.status)
+        .json({ success: false, message: organizationError.message });
+    }
+
     const shareId = await generateUniqueShareId(8);
 
     const newWorkshop = new Workshop({
@@ -195,6 +261,8 @@ exports.createWorkshop = async (req, res) => {
       price,
       location,
       shareId,
+      organization,
+      capacity,
     });
 
     // if (req.files && req.files.length > 0) {
@@ -302,16 +370,30 @@ exports.registerSharedWorkshop = async (req, res) => {
     if (registeredUser) {
       return res.status(400).json({
         success: false,
-        message: "You have already registered for this workshop!",
+        message:
+          registeredUser.status === "waitlisted"
+            ? "You are already on the waitlist for this workshop!"
+            : "You have already registered for this workshop!",
       });
     }
 
-    const newRegistration = await Register.create({
-      workshopId,
-      fullName,
-      email,
-      phoneNumber,
-    });
+    // a full workshop puts the guest on its waitlist
+    const seated = await reserveGuestSeat(workshopId);
+    let newRegistration;
+    try {
+      newRegistration = await Register.create({
+        workshopId,
+        fullName,
+        email,
+        phoneNumber,
+        status: seated ? "registered" : "waitlisted",
+      });
+    } catch (error) {
+      if (seated) {
+        await releaseGuestSeat(workshopId);
+      }
+      throw error;
+    }
 
     if (!newRegistration) {
       return res.status(400).json({
@@ -320,6 +402,31 @@ exports.registerSharedWorkshop = async (req, res) => {
       });
     }
 
+    if (!seated) {
+      const waitlisted = await Workshop.findByIdAndUpdate(
+        workshopId,
+        { $push: { waitlist: { guest: newRegistration._id } } },
+        { new: true }
+      );
+      const position = waitlistPosition(waitlisted, {
+        guestId: newRegistration._id,
+      });
+      await Notification.create({
+        userId: null,
+        type: "workshop",
+        message: `${fullName} joined the waitlist for the ${workshop.title} workshop.`,
+        userMessage: `The ${workshop.title} workshop is full. You are number ${position} on the waitlist.`,
+        organization: workshop.organization,
+      });
+      return res.status(200).json({
+        success: true,
+        message: "This workshop is full, you have been added to the waitlist.",
+        waitlisted: true,
+        position,
+        data: newRegistration,
+      });
+    }
+
     // const subject = "Workshop Registration Confirmation";
     // const text = `You have successfully registered for the workshop: ${workshop.title}. \n\nDetails:\nTitle: ${workshop.title}\nDate: ${workshop.date}\nDuration: ${workshop.duration}\nLocation: ${workshop.location}\nPrice: ${workshop.price}`;
     // await sendMail({ email, subject, text });
@@ -329,6 +436,7 @@ exports.registerSharedWorkshop = async (req, res) => {
       type: "workshop",
       message: `${fullName} just registered for the ${workshop.title} workshop.`,
       userMessage: `You have successfully registered for the ${workshop.title} workshop.`,
+      organization: workshop.organization,
     });
 
     if (!notification) {
@@ -368,7 +476,10 @@ exports.registerForWorkshop = async (req, res) => {
       date: { $gte: today },
       _id: workshopId,
     });
-    if (!workshop) {
+    if (
+      !workshop ||
+      !(await canAccessOrganizationContent(req.user, workshop.organization))
+    ) {
       return res.status(404).json({
         success: false,
         message: "Workshop not found! Make sure you chose an upcoming workshop",
@@ -389,12 +500,38 @@ exports.registerForWorkshop = async (req, res) => {
         message: "You have already registered for this workshop!",
       });
     }
+    if (waitlistPosition(workshop, { userId })) {
+      return res.status(400).json({
+        success: false,
+        message: "You are already on the waitlist for this workshop!",
+      });
+    }
 
-    workshop.attendees.push(userId); // Alternatively, you can use workshop.attendees.addToSet(id) to avoid duplicates
-
-    const isRegistered = workshop.attendees.includes(userId);
-
-    await workshop.save();
+    // takes the seat only while one is free, so concurrent registrations can't overbook the workshop
+    const seatedWorkshop = await reserveUserSeat(workshop._id, userId);
+    if (!seatedWorkshop) {
+      const waitlisted = await joinUserWaitlist(workshop._id, userId);
+      if (!waitlisted) {
+        return res.status(400).json({
+          success: false,
+          message: "You are already registered or on the waitlist for this workshop!",
+        });
+      }
+      const position = waitlistPosition(waitlisted, { userId });
+      await Notification.create({
+        userId,
+        type: "workshop",
+        message: `${user.firstName} joined the waitlist for the ${workshop.title} workshop.`,
+        userMessage: `The ${workshop.title} workshop is full. You are number ${position} on the waitlist and will be registered automatically when a seat opens up.`,
+        organization: workshop.organization,
+      });
+      return res.status(200).json({
+        success: true,
+        message: "This workshop is full, you have been added to the waitlist.",
+        waitlisted: true,
+        position,
+      });
+    }
 
     user.workshops.push(workshopId);
     if (!user.hasChosenPath) {
@@ -415,6 +552,7 @@ exports.registerForWorkshop = async (req, res) => {
       type: "workshop",
       message: `${user.firstName} just registered for the ${workshop.title} workshop.`,
       userMessage: `You have successfully registered for the ${workshop.title} workshop.`,
+      organization: workshop.organization,
     });
     if (!notification) {
       return res
@@ -425,7 +563,7 @@ exports.registerForWorkshop = async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Successfully registered for the workshop!",
-      registration: { ...workshop.toObject(), isRegistered },
+      registration: toPublicWorkshop(seatedWorkshop, userId),
     });
   } catch (error) {
     console.error("Error registering for workshop!", error);
@@ -485,6 +623,41 @@ exports.updateWorkshop = async (req, res) => {
     workshop.price = price || workshop.price;
     workshop.facilitator = facilitator || workshop.facilitator;
 
+    const capacityChanged = req.body.capacity !== undefined;
+    if (capacityChanged) {
+      const capacity = readCapacity(req.body.capacity);
+      if (capacity === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: "Capacity must be a whole number of at least 1!",
+        });
+      }
+      await recountGuests(workshop);
+      const seatsTaken = workshop.attendees.length + workshop.guestCount;
+      if (capacity !== null && capacity < seatsTaken) {
+        return res.status(400).json({
+          success: false,
+          message: `${seatsTaken} people are already registered for this workshop!`,
+        });
+      }
+      workshop.capacity = capacity;
+    }
+
+    if (req.body.organization !== undefined) {
+      const organization = parseOrganizationId(req.body.organization);
+      const organizationError = await organizationAssignmentError(
+        req.user,
+        workshop.organization,
+        organization
+      );
+      if (organizationError) {
+        return res
+          .status(organizationError.status)
+          .json({ success: false, message: organizationError.message });
+      }
+      workshop.organization = organization;
+    }
+
     // Handle old image deletion if a new one is uploaded
     if (
       workshop.workshopImage !== workshopImage &&
@@ -500,10 +673,13 @@ exports.updateWorkshop = async (req, res) => {
     //   workshop.resource = [...workshop.resource, ...resource];
     // }
     await workshop.save();
+    // a larger venue lets people off the waitlist
+    const promoted = capacityChanged ? await fillFromWaitlist(workshop._id) : 0;
     res.status(200).json({
       success: true,
       message: "Workshop updated successfully.",
-      workshop,
+      workshop: promoted ? await Workshop.findById(workshop._id) : workshop,
+      promoted,
     });
   } catch (error) {
     console.error("Error updating workshop:", error);
@@ -538,10 +714,10 @@ exports.updateWorkshopResources = async (req, res) => {
 exports.getWorkshopAttendees = async (req, res) => {
   try {
     const { workshopId } = req.params;
-    const workshop = await Workshop.findById(workshopId).populate(
-      "attendees",
-      "firstName lastName email"
-    );
+    const workshop = await Workshop.findById(workshopId)
+      .populate("attendees", "firstName lastName email")
+      .populate("waitlist.user", "firstName lastName email")
+      .populate("waitlist.guest", "fullName email phoneNumber");
     if (!workshop) {
       return res
         .status(404)
@@ -551,6 +727,10 @@ exports.getWorkshopAttendees = async (req, res) => {
       success: true,
       message: "Workshop attendees fetched successfully.",
       attendees: workshop.attendees,
+      attendedBy: workshop.attendedBy,
+      capacity: workshop.capacity,
+      seatsLeft: seatsLeft(workshop),
+      waitlist: workshop.waitlist,
     });
   } catch (error) {
     console.error("Error fetching workshop attendees:", error);
@@ -558,6 +738,74 @@ exports.getWorkshopAttendees = async (req, res) => {
   }
 };
 
+// @desc     Mark registered attendees as present or absent, present attendees get their certificate
+exports.markWorkshopAttendance = async (req, res) => {
+  try {
+    const { workshopId } = req.params;
+    const { userIds, attended = true } = req.body;
+    if (!mongoose.isValidObjectId(workshopId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid workshop ID!" });
+    }
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide the IDs of the attendees to mark!",
+      });
+    }
+    const workshop = await Workshop.findById(workshopId);
+    if (!workshop) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Workshop not found!" });
+    }
+    const registered = workshop.attendees.map((id) => id.toString());
+    const notRegistered = userIds.filter(
+      (id) => !registered.includes(String(id))
+    );
+    if (notRegistered.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Only registered attendees can be marked!",
+        notRegistered,
+      });
+    }
+
+    const markedIds = [...new Set(userIds.map(String))];
+    const present = attended !== false && attended !== "false";
+    workshop.attendedBy = present
+      ? [...new Set([...workshop.attendedBy.map(String), ...markedIds])]
+      : workshop.attendedBy.filter((id) => !markedIds.includes(id.toString()));
+    await workshop.save();
+
+    const certificates = [];
+    if (present) {
+      const users = await User.find({ _id: { $in: markedIds } });
+      for (const user of users) {
+        if (!(await workshopCertificateBlocker(user._id, workshop))) {
+          const { certificate, created } = await issueCertificate(user, {
+            workshop,
+          });
+          if (created) {
+            certificates.push(certificate);
+          }
+        }
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Workshop attendance updated successfully!",
+      attendedBy: workshop.attendedBy,
+      certificatesIssued: certificates.length,
+    });
+  } catch (error) {
+    console.error("Error marking workshop attendance:", error);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
 exports.unregisterFromWorkshop = async (req, res) => {
   try {
     const { workshopId } = req.params;
@@ -580,23 +828,38 @@ exports.unregisterFromWorkshop = async (req, res) => {
       user.workshops.includes(workshopId);
 
     if (!isRegistered) {
+      if (waitlistPosition(workshop, { userId })) {
+        await Workshop.updateOne(
+          { _id: workshop._id },
+          { $pull: { waitlist: { user: userId } } }
+        );
+        return res.status(200).json({
+          success: true,
+          message: "You have left the waitlist for this workshop!",
+        });
+      }
       return res.status(400).json({
         success: false,
         message: "You are not registered for this workshop!",
       });
     }
-    workshop.attendees = workshop.attendees.filter(
-      (attendee) => attendee.toString() !== userId.toString()
+    // pulled in place so registrations and promotions made meanwhile are kept
+    await Workshop.updateOne(
+      { _id: workshop._id },
+      { $pull: { attendees: userId, attendedBy: userId } }
     );
     user.workshops = user.workshops.filter(
       (workshop) => workshop.toString() !== workshopId.toString()
     );
-    await workshop.save();
     await user.save();
 
+    // the freed seat goes to the next person on the waitlist
+    const promoted = await fillFromWaitlist(workshop._id);
+
     res.status(200).json({
       success: true,
       message: "Successfully unregistered from the workshop!",
+      promoted,
     });
   } catch (error) {
     console.error("Error unregistering from workshop:", error);
@@ -729,11 +992,11 @@ exports.getAllWorkshops = async (req, res) => {
     const skip = (page - 1) * limit;
     const today = new Date();
 
-    let filter = {};
+    let filter = await visibleContentFilter(req.user);
     if (type === "upcoming") {
-      filter = { date: { $gte: today } };
+      filter = { ...filter, date: { $gte: today } };
     } else if (type === "previous") {
-      filter = { date: { $lt: today } };
+      filter = { ...filter, date: { $lt: today } };
     }
 
     const total = await Workshop.countDocuments(filter);
@@ -760,7 +1023,9 @@ exports.getAllWorkshops = async (req, res) => {
       hasPrevPage: page > 1,
       nextPage: page + 1,
       prevPage: page - 1 > 0 ? page - 1 : null,
-      workshops,
+      workshops: workshops.map((workshop) =>
+        toPublicWorkshop(workshop, req.user?.userId)
+      ),
     });
   } catch (error) {
     console.error("Error fetching all workshops", error);
@@ -1,29 +1,130 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/user.model");
+const Session = require("../models/session.model");
+const ApiKey = require("../models/apiKey.model");
+const { verifyToken, verifyChallengeToken, hashToken, csrfTokensMatch } = require("../utils/token");
+const { hasPermissions } = require("../utils/permissions");
+
+// only write a session's lastSeenAt (and an API key's lastUsedAt) once a minute
+const LAST_SEEN_INTERVAL = 60 * 1000;
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// API keys only work on routes that declare the scope they need through authorizeRole or requireScope,
+// so a leaked key can never change passwords, manage keys or reach anything else a scope doesn't cover
+const authenticateApiKey = async (req, res, next, key) => {
+  const routeScopes = (req.route?.stack || []).map((layer) => layer.handle.requiredScope).filter(Boolean);
+  if (routeScopes.length === 0) {
+    return res.status(403).json({ success: false, message: "API keys cannot be used for this route!" });
+  }
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key), revokedAt: null, expiresAt: { $gt: Date.now() } });
+  if (!apiKey) {
+    return res.status(401).json({ success: false, message: "Invalid or expired API key!" });
+  }
+  const user = await User.findById(apiKey.user);
+  if (!user) {
+    return res.status(401).json({ success: false, message: "Invalid or expired API key!" });
+  }
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > LAST_SEEN_INTERVAL) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: Date.now(), lastUsedIp: req.ip });
+  }
+  // the role always comes from the user, so a key never outlives a demotion
+  req.user = { userId: user._id.toString(), role: user.role, apiKeyId: apiKey._id.toString(), scopes: apiKey.scopes };
+
+  next();
+};
 
 exports.auth = async (req, res, next) => {
   try {
     // const authHeader = req.headers['authorization'];
     // const token = authHeader && authHeader.split(' ')[1];
-    const accessToken = req.cookies.accessToken || req.headers['authorization']?.split(' ')[1]; // Get token from cookies or authorization header
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+    const cookieToken = req.cookies.accessToken;
+    const accessToken = cookieToken || req.headers['authorization']?.split(' ')[1]; // Get token from cookies or authorization header
     if (!accessToken) {
       return res.status(401).json({ success: false, message: "Access denied. Please log in." });
     }
-    // verify token
-    jwt.verify(accessToken, process.env.PRIVATE_KEY, async (err, decoded) => {
-      if (err) {
-        return res.status(401).json({ success: false, message: "Access denied! Please log in again." })
+    // verify token against the current signing keys
+    let decoded;
+    try {
+      decoded = await verifyToken(accessToken);
+    } catch (err) {
+      // key store failures are server errors, not bad tokens
+      if (!(err instanceof jwt.JsonWebTokenError)) {
+        throw err;
       }
-      const user = await User.findById(decoded.id);
-      if (!user || decoded.tokenVersion !== user.tokenVersion) {
-        return res.status(401).json({ success: false, message: "Access denied! Please log in again." })
+      return res.status(401).json({ success: false, message: "Access denied! Please log in again." })
+    }
+    // challenge tokens from the 2FA step are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({ success: false, message: "Access denied! Please log in again." })
+    }
+    const user = await User.findById(decoded.id);
+    if (!user || decoded.tokenVersion !== user.tokenVersion) {
+      return res.status(401).json({ success: false, message: "Access denied! Please log in again." })
+    }
+    // reject tokens whose session was revoked, tokens issued before sessions existed carry no sid
+    const session = decoded.sid && await Session.findById(decoded.sid).select("+csrfToken");
+    if (decoded.sid && (!session || session.revokedAt)) {
+      return res.status(401).json({ success: false, message: "Session revoked! Please log in again." })
+    }
+    // browsers attach the cookie to cross-site requests too, so state-changing requests authenticated by it
+    // must echo the session's CSRF token. Bearer-header clients are exempt.
+    if (cookieToken && !SAFE_METHODS.includes(req.method) && !csrfTokensMatch(session?.csrfToken, req.get("x-csrf-token"))) {
+      return res.status(403).json({ success: false, message: "Invalid or missing CSRF token!" })
+    }
+    // impersonation tokens always belong to a session started by someone who may still impersonate
+    if (decoded.impersonatorId) {
+      const impersonator = await User.findById(decoded.impersonatorId);
+      if (!session || session.impersonator?.toString() !== decoded.impersonatorId || !impersonator || !(await hasPermissions(impersonator.role, ["users:impersonate"]))) {
+        return res.status(401).json({ success: false, message: "Impersonation ended! Please log in again." })
       }
-      req.user = { userId: decoded.id, role: decoded.role }; // Attach user ID and role to request object
+      res.set("X-Impersonated-By", decoded.impersonatorId);
+    }
+    if (session && Date.now() - session.lastSeenAt > LAST_SEEN_INTERVAL) {
+      await Session.updateOne({ _id: session._id }, { lastSeenAt: Date.now() });
+    }
+    req.user = { userId: decoded.id, role: decoded.role, sessionId: decoded.sid, impersonatorId: decoded.impersonatorId }; // Attach user ID, role and session to request object
 
-      next();
-    });
+    next();
   } catch (err) {
     console.error("Invalid or expired token", err.message);
     res.status(500).json({ success: false, message: "Internal Server Error" });
   }
 };
+
+// Lets an admin who must enroll in 2FA reach the setup routes with the challenge token from signIn,
+// otherwise falls back to the normal access token check
+exports.authOrSetupChallenge = async (req, res, next) => {
+  try {
+    const challengeToken = req.body?.challengeToken;
+    if (!challengeToken) {
+      return exports.auth(req, res, next);
+    }
+    const decoded = await verifyChallengeToken(challengeToken, "2fa-setup");
+    if (!decoded) {
+      return res.status(401).json({ success: false, message: "Invalid or expired challenge! Please log in again." });
+    }
+    const user = await User.findById(decoded.id);
+    if (!user || decoded.tokenVersion !== user.tokenVersion) {
+      return res.status(401).json({ success: false, message: "Access denied! Please log in again." })
+    }
+    req.user = { userId: decoded.id, role: user.role, setupChallenge: true };
+
+    next();
+  } catch (err) {
+    console.error("Invalid or expired challenge token", err.message);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// Keeps an admin who is signed in as another user away from actions the user should take themselves,
+// like deleting the account, changing the password or managing 2FA, sessions and API keys
+exports.blockDuringImpersonation = (req, res, next) => {
+  if (req.user?.impersonatorId) {
+    return res.status(403).json({ success: false, message: "This action is not allowed while impersonating a user!" });
+  }
+  next();
+};
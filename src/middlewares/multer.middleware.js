@@ -30,6 +30,20 @@ const storage = new  CloudinaryStorage({
 
 const upload = multer({ storage });
 
+// Documents are stored as they are, without the image resizing
+const documentStorage = new CloudinaryStorage({
+  cloudinary,
+  params: {
+    folder: 'skillitgh/courses/lessons',
+    resource_type: 'raw',
+    allowed_formats: ['pdf', 'docx', 'pptx', 'xlsx', 'txt', 'zip'],
+    use_filename: true,
+    unique_filename: true,
+  },
+});
+
+const uploadDocument = multer({ storage: documentStorage });
+
 // Middleware to handle file upload
 const uploadFile = (req, res, next) => {
   upload.single('workshopImage')(req, res, (err) => {
@@ -41,4 +55,4 @@ const uploadFile = (req, res, next) => {
   });
 };
 
-module.exports = {upload, uploadFile};
\ No newline at end of file
+module.exports = {upload, uploadDocument, uploadFile};
\ No newline at end of file
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const Organization = require("../models/organization.model");
+const { canManageAllOrganizations } = require("../utils/organizations");
+
+// Load the organization in :organizationId and check the user's membership, users with
+// `organizations:manage` pass for every organization. Sets req.organization and req.organizationRole.
+const authorizeOrganization = (requiredRole) => async (req, res, next) => {
+  try {
+    const { organizationId } = req.params;
+    if (!mongoose.isValidObjectId(organizationId)) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Invalid organization ID!" });
+    }
+    const organization = await Organization.findById(organizationId);
+    if (!organization) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Organization not found!" });
+    }
+    const membership = organization.members.find(
+      (member) => member.user.toString() === req.user.userId.toString()
+    );
+    const allowed =
+      membership && (!requiredRole || membership.role === requiredRole);
+    if (!allowed && !(await canManageAllOrganizations(req.user))) {
+      return res.status(403).json({
+        success: false,
+        message:
+          requiredRole === "admin"
+            ? "Access denied. Only the organization's admins can do this."
+            : "Access denied. You are not a member of this organization.",
+      });
+    }
+    req.organization = organization;
+    req.organizationRole = membership?.role || null;
+    next();
+  } catch (err) {
+    console.error("Organization authorization error: ", err.message);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+exports.authorizeOrganizationMember = authorizeOrganization();
+exports.authorizeOrganizationAdmin = authorizeOrganization("admin");
@@ -0,0 +1,84 @@
+const mongoose = require("mongoose");
+const Course = require("../models/course.model");
+const CourseRegistration = require("../models/course.registration");
+const { hasPermissions } = require("../utils/permissions");
+const { isOrganizationAdmin } = require("../utils/organizations");
+const { approvedRegistrationFilter } = require("../utils/enrollments");
+
+// Roles without `courses:all` only manage the courses they teach
+exports.canManageAllCourses = (user) => hasPermissions(user.role, ["courses:all"]);
+
+// True when the user teaches the course, administers its organization or may manage every course
+exports.canManageCourse = async (user, course) => {
+  if (course.instructorId?.toString() === user.userId.toString()) {
+    return true;
+  }
+  if (course.organization && (await isOrganizationAdmin(course.organization, user.userId))) {
+    return true;
+  }
+  return exports.canManageAllCourses(user);
+};
+
+// Find the course in :courseId, or answer with 400/404 and return null
+const findCourse = async (req, res) => {
+  const { courseId } = req.params;
+  if (!mongoose.isValidObjectId(courseId)) {
+    res.status(400).json({ success: false, message: "Invalid course ID!" });
+    return null;
+  }
+  const course = await Course.findById(courseId);
+  if (!course) {
+    res.status(404).json({ success: false, message: "Course not found!" });
+  }
+  return course;
+};
+
+// Load the course in :courseId and make sure the user teaches it or administers its organization, unless
+// they may manage every course. Use after requirePermission, which decides what the user may do with a course they own.
+exports.authorizeCourseOwner = async (req, res, next) => {
+  try {
+    const course = await findCourse(req, res);
+    if (!course) {
+      return;
+    }
+    if (!(await exports.canManageCourse(req.user, course))) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. You can only manage the courses you teach.",
+      });
+    }
+    req.course = course;
+    next();
+  } catch (err) {
+    console.error("Course ownership check error: ", err.message);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
+
+// Load the course in :courseId and make sure the user's registration for it is approved. The people who manage the
+// course pass too, so they can preview its lessons. Sets req.course and req.registration.
+exports.authorizeCourseLearner = async (req, res, next) => {
+  try {
+    const course = await findCourse(req, res);
+    if (!course) {
+      return;
+    }
+    const registration = await CourseRegistration.findOne({
+      course: course._id,
+      enrolledUser: req.user.userId,
+      ...approvedRegistrationFilter,
+    });
+    if (!registration && !(await exports.canManageCourse(req.user, course))) {
+      return res.status(403).json({
+        success: false,
+        message: "Access denied. Register for this course to view its lessons.",
+      });
+    }
+    req.course = course;
+    req.registration = registration;
+    next();
+  } catch (err) {
+    console.error("Course registration check error: ", err.message);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
@@ -1,5 +1,21 @@
-const authorizeRole = (access) => {
-  return (req, res, next) => {
+const { hasPermissions } = require("../utils/permissions");
+
+// Requests made with an API key must also carry the scope the route declares,
+// cookie and bearer sessions are not limited by scopes
+const hasScope = (user, scope) => !user.apiKeyId || user.scopes.includes(scope);
+
+const missingScopeResponse = (res, scope) =>
+  res.status(403).json({
+    success: false,
+    message: `Access denied. API key is missing the ${scope || "required"} scope.`,
+  });
+
+const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+// Allow any of the roles, e.g. authorizeRole(["admin", "support"])
+const authorizeRole = (access, scope) => {
+  const roles = toList(access);
+  const middleware = (req, res, next) => {
     try {
       const { role } = req.user;
       // Check if the user is authenticated
@@ -24,13 +40,49 @@ const authorizeRole = (access) => {
 
       // res.status(403).json({ message: "Access denied. You do not have the required permissions." });
 
-      // Check if the user role matches the required role
-      if (role !== access) {
+      // Check if the user role matches one of the required roles
+      if (!roles.includes(role)) {
+        return res.status(403).json({
+          success: false,
+          message: "Access denied. You do not have the required permissions.",
+        });
+      }
+      if (!hasScope(req.user, scope)) {
+        return missingScopeResponse(res, scope);
+      }
+      next();
+    } catch (err) {
+      console.error("Authorization error: ", err.message);
+      res
+        .status(500)
+        .json({ success: false, message: "Internal Server Error" });
+    }
+  };
+  // read by the auth middleware to decide whether the route accepts API keys
+  middleware.requiredScope = scope;
+  return middleware;
+};
+
+// Require every one of the permissions, e.g. requirePermission("courses:update", "courses:write").
+// Permissions come from the user's role, see config/permissions.js.
+const requirePermission = (required, scope) => {
+  const permissions = toList(required);
+  const middleware = async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res
+          .status(401)
+          .json({ success: false, message: "Unauthorized. Please log in." });
+      }
+      if (!req.user.role || !(await hasPermissions(req.user.role, permissions))) {
         return res.status(403).json({
           success: false,
           message: "Access denied. You do not have the required permissions.",
         });
       }
+      if (!hasScope(req.user, scope)) {
+        return missingScopeResponse(res, scope);
+      }
       next();
     } catch (err) {
       console.error("Authorization error: ", err.message);
@@ -39,6 +91,25 @@ const authorizeRole = (access) => {
         .json({ success: false, message: "Internal Server Error" });
     }
   };
+  middleware.requiredScope = scope;
+  return middleware;
+};
+
+// For routes open to every role that should still be reachable with an API key
+const requireScope = (scope) => {
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return res
+        .status(401)
+        .json({ success: false, message: "Unauthorized. Please log in." });
+    }
+    if (!hasScope(req.user, scope)) {
+      return missingScopeResponse(res, scope);
+    }
+    next();
+  };
+  middleware.requiredScope = scope;
+  return middleware;
 };
 
-module.exports = { authorizeRole };
+module.exports = { authorizeRole, requirePermission, requireScope };
@@ -0,0 +1,25 @@
+const User = require("../models/user.model");
+const authConfig = require("../../config/auth");
+
+// Block unverified users from enrolling when REQUIRE_EMAIL_VERIFICATION is enabled
+exports.requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (!authConfig.requireEmailVerification) {
+      return next();
+    }
+    const user = await User.findById(req.user.userId).select("emailVerified");
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found!" });
+    }
+    if (!user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: "Please verify your email address before enrolling.",
+      });
+    }
+    next();
+  } catch (err) {
+    console.error("Email verification check error: ", err.message);
+    res.status(500).json({ success: false, message: "Internal Server Error" });
+  }
+};
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { apiKeyScopes } = require('../../config/auth');
+
+// Personal API key for scripts and integrations, only the hash of the key is stored
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // first characters of the key so users can tell their keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: {
+    type: [{ type: String, enum: apiKeyScopes }],
+    validate: [(scopes) => scopes.length > 0, 'At least one scope is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    trim: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const assignmentSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  instructions: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  dueAt: {
+    type: Date,
+    required: true
+  },
+  // how learners hand in their work
+  submissionTypes: {
+    type: [{
+      type: String,
+      enum: ['file', 'url']
+    }],
+    default: ['file', 'url']
+  },
+  // when set, the score is the sum of the rubric criteria
+  rubric: [{
+    criterion: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: ""
+    },
+    maxPoints: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  maxScore: {
+    type: Number,
+    min: 0,
+    default: 100
+  },
+  allowLateSubmissions: {
+    type: Boolean,
+    default: true
+  },
+  // no submissions at all after this date, empty for no cut-off
+  lateCutoffAt: {
+    type: Date,
+    default: null
+  },
+  // taken off the score for each day, or part of a day, a submission is late. Work handed in within
+  // 15 minutes of the deadline is on time; after that even a few minutes count as a full day.
+  latePenaltyPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  allowResubmission: {
+    type: Boolean,
+    default: true
+  },
+  // learners only see published assignments
+  published: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Assignment', assignmentSchema);
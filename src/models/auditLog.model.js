@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // the user who performed the action, empty for anonymous actions
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'targetModel',
+    default: null
+  },
+  targetModel: {
+    type: String,
+    enum: ['User', 'Invitation', 'ApiKey', 'Role', 'Organization', 'Certificate'],
+    default: 'User'
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
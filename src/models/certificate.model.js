@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// An issued certificate. The PDF is rendered from this record whenever it is downloaded.
+const certificateSchema = new mongoose.Schema({
+  serial: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['course', 'workshop'],
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    default: null
+  },
+  workshop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workshop',
+    default: null
+  },
+  // name and title as printed, so later profile or course edits don't change an issued certificate
+  recipientName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revocationReason: {
+    type: String,
+    trim: true,
+    default: ""
+  }
+}, { timestamps: true });
+
+// one certificate per learner for each course or workshop
+certificateSchema.index({ user: 1, kind: 1, course: 1, workshop: 1 }, { unique: true });
+
+module.exports = mongoose.model('Certificate', certificateSchema);
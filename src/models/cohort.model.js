@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// One intake of a course. Learners enroll into a cohort while it is open and has seats left.
+const cohortSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  // last moment to enroll, the start date when not set
+  enrollmentDeadline: {
+    type: Date
+  },
+  // empty for no limit
+  capacity: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  // seats taken, kept in step with the registrations so enrolling can't overbook the cohort
+  enrolledCount: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, { timestamps: true });
+
+cohortSchema.pre('validate', function (next) {
+  if (!this.enrollmentDeadline) {
+    this.enrollmentDeadline = this.startDate;
+  }
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'The cohort must end after it starts');
+  }
+  next();
+});
+
+module.exports = mongoose.model('Cohort', cohortSchema);
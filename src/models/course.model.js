@@ -47,6 +47,26 @@ const courseSchema = new mongoose.Schema({
       default: "example@com"
     }
   },
+  // the instructor's account, which lets them manage this course
+  instructorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  // the partner organization this course is run for, empty for the public catalogue
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null,
+    index: true
+  },
+  // manual: applications wait for an instructor or admin to approve them
+  enrollmentApproval: {
+    type: String,
+    enum: ['auto', 'manual'],
+    default: 'auto'
+  },
   registeredUsers: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
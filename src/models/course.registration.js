@@ -13,7 +13,40 @@ const courseRegistrationSchema = new mongoose.Schema({
   },
   messageBody: {
     type: String,
+  },
+  // courses with manual approval start applications as pending until they are reviewed
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+    default: 'approved',
+    index: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  // shared with the applicant in the decision notification and email
+  reviewNote: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  // the intake the learner enrolled into, empty for courses that don't run in cohorts. Pending applications
+  // hold their seat, rejected and withdrawn ones give it back.
+  cohort: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cohort',
+    default: null,
+    index: true
   }
 }, { timestamps: true });
 
+// one registration per learner and course, rejected and withdrawn ones are reused
+courseRegistrationSchema.index({ course: 1, enrolledUser: 1 }, { unique: true });
+
 module.exports = mongoose.model("CourseRegistration", courseRegistrationSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const lessonSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+    index: true
+  },
+  module: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Module',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['text', 'video', 'file', 'link'],
+    required: true
+  },
+  // markdown body of text lessons, or notes shown with the other types
+  content: {
+    type: String,
+    default: ""
+  },
+  // video URL, uploaded file or external link
+  url: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  filePublicId: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  estimatedMinutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // position in the module, lowest first
+  order: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+lessonSchema.index({ module: 1, order: 1 });
+
+module.exports = mongoose.model('Lesson', lessonSchema);
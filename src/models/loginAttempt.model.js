@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Failed sign-in attempts per IP address within the current window
+const loginAttemptSchema = new mongoose.Schema({
+  ip: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
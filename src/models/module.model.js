@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A section of a course's curriculum, holding its lessons
+const moduleSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  // position in the course, lowest first
+  order: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+moduleSchema.index({ course: 1, order: 1 });
+
+module.exports = mongoose.model('Module', moduleSchema);
@@ -8,7 +8,7 @@ const notificationSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ["course", "workshop", "signup"],
+      enum: ["course", "workshop", "signup", "assignment"],
       required: true,
     },
     message: {
@@ -23,6 +23,13 @@ const notificationSchema = new mongoose.Schema(
       type: String,
       required: false,
     },
+    // set for activity on an organization's courses and workshops, so its org-admins see it
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+      index: true,
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { organizationRoles } = require('../../config/permissions');
+
+// A partner organization, e.g. a bank sponsoring a group of learners. Its courses and workshops are only
+// visible to its members.
+const organizationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  contactEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: ""
+  },
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: organizationRoles,
+      default: 'member'
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+organizationSchema.index({ 'members.user': 1 });
+
+module.exports = mongoose.model('Organization', organizationSchema);
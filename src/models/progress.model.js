@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// How far a learner has got with one lesson
+const progressSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  lesson: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson',
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // where the learner stopped, e.g. seconds into a video or how far down a text lesson
+  lastPosition: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  lastViewedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { timestamps: true });
+
+progressSchema.index({ user: 1, lesson: 1 }, { unique: true });
+progressSchema.index({ course: 1, user: 1 });
+
+module.exports = mongoose.model('Progress', progressSchema);
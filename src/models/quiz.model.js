@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+const questionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['multiple-choice', 'multi-select', 'true-false', 'short-answer'],
+    required: true
+  },
+  prompt: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  options: [{
+    type: String,
+    trim: true
+  }],
+  // the answer key, never sent to learners before they submit
+  correctAnswers: [{
+    type: String,
+    trim: true
+  }],
+  points: {
+    type: Number,
+    min: 0,
+    default: 1
+  }
+});
+
+const quizSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true,
+    index: true
+  },
+  // set when the quiz belongs to a lesson rather than the whole course
+  lesson: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lesson',
+    default: null
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  questions: [questionSchema],
+  // percentage needed to pass
+  passMark: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 70
+  },
+  // 0 allows unlimited attempts
+  maxAttempts: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // 0 means no time limit
+  timeLimitMinutes: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // learners only see published quizzes
+  published: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Quiz', quizSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const quizAttemptSchema = new mongoose.Schema({
+  quiz: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // deadline for quizzes with a time limit
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  // submitted after the time limit, so it scored nothing
+  timedOut: {
+    type: Boolean,
+    default: false
+  },
+  answers: [{
+    _id: false,
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    response: [String],
+    correct: Boolean,
+    pointsAwarded: Number
+  }],
+  score: {
+    type: Number,
+    default: 0
+  },
+  maxScore: {
+    type: Number,
+    default: 0
+  },
+  percentage: {
+    type: Number,
+    default: 0
+  },
+  passed: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+quizAttemptSchema.index({ quiz: 1, user: 1, createdAt: -1 });
+quizAttemptSchema.index({ course: 1, user: 1 });
+// a learner has at most one attempt in progress per quiz. Partial indexes can't filter on `null`
+// equality, but submittedAt is always stored, so matching its type is the same thing.
+quizAttemptSchema.index({ quiz: 1, user: 1 }, { unique: true, partialFilterExpression: { submittedAt: { $type: 'null' } } });
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
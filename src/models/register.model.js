@@ -29,6 +29,13 @@ const registerSchema = new Schema(
       trim: true,
       default: "0123456789",
     },
+
+    // waitlisted guests are on the workshop's waitlist until a seat opens up
+    status: {
+      type: String,
+      enum: ["registered", "waitlisted"],
+      default: "registered",
+    },
   },
   { timestamps: true }
 );
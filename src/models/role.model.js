@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+const { roles, permissions } = require('../../config/permissions');
+
+// Permissions an admin has assigned to a role, replacing its defaults from config/permissions.js
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: roles.filter((role) => role !== 'admin'),
+    required: true,
+    unique: true
+  },
+  permissions: [{
+    type: String,
+    enum: Object.keys(permissions)
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// One session per sign-in, shared by every refresh token rotated from it
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  device: {
+    type: String,
+    trim: true,
+    default: "Unknown device"
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // pushed forward every time the refresh token is rotated
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // sent back in the X-CSRF-Token header on state-changing requests authenticated by the cookie
+  csrfToken: {
+    type: String,
+    default: () => crypto.randomBytes(32).toString('hex'),
+    select: false
+  },
+  // the admin signed in as this user, empty for the user's own sessions
+  impersonator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, { timestamps: true });
+
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
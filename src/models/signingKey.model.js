@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Key pair used to sign JWTs. The newest key that has activated signs new tokens; every key that has not
+// expired yet is published in the JWKS and accepted when verifying.
+const signingKeySchema = new mongoose.Schema({
+  kid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  algorithm: {
+    type: String,
+    enum: ['RS256', 'ES256'],
+    required: true
+  },
+  publicKey: {
+    type: String,
+    required: true
+  },
+  // encrypted with JWT_KEY_ENCRYPTION_SECRET
+  privateKey: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // new keys can be published before they start signing so other services pick them up first
+  activatesAt: {
+    type: Date,
+    default: Date.now
+  },
+  // set when a newer key replaces this one, late enough for every token it signed to expire
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+signingKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SigningKey', signingKeySchema);
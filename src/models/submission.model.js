@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const gradeSchema = new mongoose.Schema({
+  rubricScores: [{
+    _id: false,
+    criterion: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    points: {
+      type: Number,
+      min: 0,
+      required: true
+    }
+  }],
+  // score before the late penalty
+  rawScore: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  penaltyPercent: {
+    type: Number,
+    default: 0
+  },
+  score: {
+    type: Number,
+    required: true
+  },
+  feedback: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  gradedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A learner's work for an assignment, one per learner. Resubmitting moves the previous version to history.
+const submissionSchema = new mongoose.Schema({
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: true
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileUrl: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  filePublicId: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  url: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  daysLate: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['submitted', 'graded'],
+    default: 'submitted'
+  },
+  grade: {
+    type: gradeSchema,
+    default: null
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  history: [{
+    _id: false,
+    version: Number,
+    fileUrl: String,
+    filePublicId: String,
+    url: String,
+    note: String,
+    submittedAt: Date,
+    daysLate: Number,
+    grade: gradeSchema
+  }]
+}, { timestamps: true });
+
+submissionSchema.index({ assignment: 1, user: 1 }, { unique: true });
+submissionSchema.index({ course: 1, user: 1 });
+
+module.exports = mongoose.model('Submission', submissionSchema);
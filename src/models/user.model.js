@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { roles } = require('../../config/permissions');
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -18,13 +19,41 @@ const userSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   },
+  // accounts created through social sign-in have no password until they reset one
   password: {
     type: String,
-    required: true,
+    required: function () {
+      return !this.identities || this.identities.length === 0;
+    },
     minLength: 6,
     trim: true,
     select: false
   },
+  // hashes of previous passwords, newest first
+  passwordHistory: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  identities: [{
+    provider: {
+      type: String,
+      required: true
+    },
+    subject: {
+      type: String,
+      required: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   userImage: {
     type: String,
     trim: true,
@@ -37,7 +66,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['admin', 'user'],
+    enum: roles,
     default: 'user'
   },
   gender: {
@@ -67,6 +96,20 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  emailVerificationTokenExpiry: {
+    type: Date,
+    default: null,
+    select: false
+  },
   resetToken: {
     type: String,
     default: null
@@ -75,10 +118,71 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  magicLinkToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  magicLinkTokenExpiry: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  unlockToken: {
+    type: String,
+    default: null,
+    select: false
+  },
+  unlockTokenExpiry: {
+    type: Date,
+    default: null,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // secret waiting for the user to confirm their first code
+  twoFactorPendingSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  // sha256 hashes of the unused one-time recovery codes
+  twoFactorRecoveryCodes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  // last accepted TOTP time step, so a code cannot be replayed
+  twoFactorLastUsedStep: {
+    type: Number,
+    default: -1,
+    select: false
+  },
   tokenVersion: {
     type: Number,
     default: 0
   }
 }, { timestamps: true })
 
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 }, { unique: true, sparse: true });
+
 module.exports = mongoose.model('User', userSchema);      
\ No newline at end of file
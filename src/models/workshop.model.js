@@ -54,12 +54,57 @@ workshopSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // the partner organization this workshop is run for, empty for the public catalogue
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+      index: true,
+    },
     attendees: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: "User",
       },
     ],
+    // seats for attendees and guests together, empty for no limit
+    capacity: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    // guests registered through the share link, who hold seats without being attendees
+    guestCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // people waiting for a seat, first come first served
+    waitlist: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        guest: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Register",
+          default: null,
+        },
+        joinedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // attendees marked as present, they qualify for a certificate
+    attendedBy: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
     shareId: {
       type: String,
       unique: true,
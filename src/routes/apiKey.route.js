@@ -0,0 +1,106 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getMyApiKeys,
+  createApiKey,
+  revokeMyApiKey,
+  getUserApiKeysByAdmin,
+  revokeUserApiKeyByAdmin,
+} = require("../controllers/apiKey.controller");
+const { auth, blockDuringImpersonation } = require("../middlewares/auth.middleware");
+const { authorizeRole } = require("../middlewares/role.middleware");
+
+/**
+ * @swagger
+ * /api/v1/dashboard/api-keys:
+ *   get:
+ *     summary: Get my API keys
+ *     description: Lists the signed-in user's active API keys with their scopes, expiry and when they were last used. The keys themselves are never returned after creation.
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: API keys fetched successfully
+ *       401:
+ *         description: Access denied
+ *
+ * @route    GET api/v1/dashboard/api-keys
+ * @desc     Get the signed-in user's API keys
+ * @access   Private
+ */
+router.get("/dashboard/api-keys", auth, getMyApiKeys);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: Creates a personal API key for scripts and integrations. Send it in the `X-API-Key` header; it only works on routes covered by its scopes and never grants more than the owner's role allows. The key is only returned in this response.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Weekly reporting script
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [courses:read, courses:write, workshops:read, workshops:write, users:read, users:write, metrics:read]
+ *                 example: [metrics:read, users:read]
+ *               expiresInDays:
+ *                 type: integer
+ *                 example: 90
+ *     responses:
+ *       201:
+ *         description: API key created successfully
+ *       400:
+ *         description: Missing name or scopes, invalid scopes, invalid expiry or too many keys
+ *       401:
+ *         description: Access denied
+ *
+ * @route    POST api/v1/dashboard/api-keys
+ * @desc     Create an API key
+ * @access   Private
+ */
+router.post("/dashboard/api-keys", auth, blockDuringImpersonation, createApiKey);
+
+/**
+ * @route    DELETE api/v1/dashboard/api-keys/:keyId
+ * @desc     Revoke one of the signed-in user's API keys
+ * @access   Private
+ */
+router.delete("/dashboard/api-keys/:keyId", auth, blockDuringImpersonation, revokeMyApiKey);
+
+/**
+ * @route    GET api/v1/dashboard/users/:userId/api-keys
+ * @desc     Get a user's active API keys
+ * @access   Private (admin only)
+ */
+router.get(
+  "/dashboard/users/:userId/api-keys",
+  auth,
+  authorizeRole("admin"),
+  getUserApiKeysByAdmin
+);
+
+/**
+ * @route    DELETE api/v1/dashboard/users/:userId/api-keys/:keyId
+ * @desc     Revoke one of a user's API keys
+ * @access   Private (admin only)
+ */
+router.delete(
+  "/dashboard/users/:userId/api-keys/:keyId",
+  auth,
+  authorizeRole("admin"),
+  revokeUserApiKeyByAdmin
+);
+
+module.exports = router;
@@ -0,0 +1,275 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCourseAssignments,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+  submitAssignment,
+  getAssignmentSubmissions,
+  gradeSubmission,
+} = require("../controllers/assignment.controller");
+const { upload } = require("../middlewares/multer.middleware");
+const { auth } = require("../middlewares/auth.middleware");
+const { requirePermission, requireScope } = require("../middlewares/role.middleware");
+const {
+  authorizeCourseOwner,
+  authorizeCourseLearner,
+} = require("../middlewares/ownership.middleware");
+
+/**
+ * @route    GET api/v1/courses/:courseId/assignments
+ * @desc     List a course's assignments with the learner's submissions. Instructors get every assignment.
+ * @access   Private (registered learners and the course's instructors)
+ */
+router.get(
+  "/courses/:courseId/assignments",
+  auth,
+  requireScope("courses:read"),
+  authorizeCourseLearner,
+  getCourseAssignments
+);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/assignments:
+ *   post:
+ *     summary: Create an assignment
+ *     description: Learners hand in a file or a link before `dueAt`. Late work can be refused, cut off at `lateCutoffAt` or lose `latePenaltyPercent` of its score per day late, where any part of a day counts as a full day once the 15-minute grace period after `dueAt` has passed. With a rubric the score is the sum of its criteria.
+ *     tags: [Courses]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - dueAt
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: Design a brand logo
+ *               instructions:
+ *                 type: string
+ *               dueAt:
+ *                 type: string
+ *                 example: "2025-03-01T23:59:00Z"
+ *               submissionTypes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [file, url]
+ *               maxScore:
+ *                 type: integer
+ *                 example: 100
+ *               rubric:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     criterion:
+ *                       type: string
+ *                       example: Use of colour
+ *                     description:
+ *                       type: string
+ *                     maxPoints:
+ *                       type: integer
+ *                       example: 25
+ *               allowLateSubmissions:
+ *                 type: boolean
+ *               lateCutoffAt:
+ *                 type: string
+ *               latePenaltyPercent:
+ *                 type: integer
+ *                 example: 10
+ *               allowResubmission:
+ *                 type: boolean
+ *               published:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Assignment created successfully
+ *       400:
+ *         description: Missing title or due date, or invalid fields
+ *
+ * @route    POST api/v1/courses/:courseId/assignments
+ * @desc     Create an assignment
+ * @access   Private (courses:update, course instructor)
+ */
+router.post(
+  "/courses/:courseId/assignments",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  createAssignment
+);
+
+/**
+ * @route    PUT api/v1/courses/:courseId/assignments/:assignmentId
+ * @desc     Update an assignment
+ * @access   Private (courses:update, course instructor)
+ */
+router.put(
+  "/courses/:courseId/assignments/:assignmentId",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  updateAssignment
+);
+
+/**
+ * @route    DELETE api/v1/courses/:courseId/assignments/:assignmentId
+ * @desc     Delete an assignment and its submissions
+ * @access   Private (courses:update, course instructor)
+ */
+router.delete(
+  "/courses/:courseId/assignments/:assignmentId",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  deleteAssignment
+);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/assignments/{assignmentId}/submissions:
+ *   post:
+ *     summary: Submit an assignment
+ *     description: Upload a file or send a link. Submitting again replaces the earlier work, which is kept in the submission's history, and clears its grade.
+ *     tags: [Courses]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               url:
+ *                 type: string
+ *                 example: https://github.com/learner/portfolio-site
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Assignment submitted successfully
+ *       200:
+ *         description: Assignment resubmitted
+ *       400:
+ *         description: Missing work, wrong submission type, submissions closed or resubmission not allowed
+ *       403:
+ *         description: Not registered for this course
+ *
+ * @route    POST api/v1/courses/:courseId/assignments/:assignmentId/submissions
+ * @desc     Submit or resubmit an assignment
+ * @access   Private (registered learners)
+ */
+router.post(
+  "/courses/:courseId/assignments/:assignmentId/submissions",
+  auth,
+  requireScope("courses:write"),
+  authorizeCourseLearner,
+  upload.single("file"),
+  submitAssignment
+);
+
+/**
+ * @route    GET api/v1/courses/:courseId/assignments/:assignmentId/submissions
+ * @desc     List the submissions for an assignment, filter with `?status=submitted` or `graded`
+ * @access   Private (courses:registrations:read, course instructor)
+ */
+router.get(
+  "/courses/:courseId/assignments/:assignmentId/submissions",
+  auth,
+  requirePermission("courses:registrations:read", "courses:read"),
+  authorizeCourseOwner,
+  getAssignmentSubmissions
+);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/assignments/{assignmentId}/submissions/{submissionId}/grade:
+ *   put:
+ *     summary: Grade a submission
+ *     description: Send `rubricScores` for assignments with a rubric, otherwise a `score`. The late penalty is applied automatically and the learner is notified by email and in their notifications.
+ *     tags: [Courses]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: submissionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rubricScores:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     criterion:
+ *                       type: string
+ *                       description: The rubric criterion's _id
+ *                     points:
+ *                       type: number
+ *               score:
+ *                 type: number
+ *                 example: 85
+ *               feedback:
+ *                 type: string
+ *                 example: Strong concept, tighten the typography.
+ *     responses:
+ *       200:
+ *         description: Submission graded successfully
+ *       400:
+ *         description: Missing or out-of-range scores
+ *       404:
+ *         description: Submission not found
+ *
+ * @route    PUT api/v1/courses/:courseId/assignments/:assignmentId/submissions/:submissionId/grade
+ * @desc     Grade a submission
+ * @access   Private (courses:update, course instructor)
+ */
+router.put(
+  "/courses/:courseId/assignments/:assignmentId/submissions/:submissionId/grade",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  gradeSubmission
+);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+const { getAuditLogs } = require("../controllers/audit.controller");
+const { auth } = require("../middlewares/auth.middleware");
+const { authorizeRole } = require("../middlewares/role.middleware");
+
+/**
+ * @route    GET api/v1/dashboard/audit-logs
+ * @desc     Get the audit trail of privileged actions, filterable by action and actor
+ * @access   Private (admin only)
+ */
+router.get(
+  "/dashboard/audit-logs",
+  auth,
+  authorizeRole("admin"),
+  getAuditLogs
+);
+
+module.exports = router;
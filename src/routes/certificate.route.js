@@ -0,0 +1,217 @@
+const express = require("express");
+const router = express.Router();
+const {
+  claimCourseCertificate,
+  claimWorkshopCertificate,
+  getMyCertificates,
+  downloadCertificate,
+  verifyCertificate,
+  getCertificates,
+  revokeCertificate,
+} = require("../controllers/certificate.controller");
+const { auth, blockDuringImpersonation } = require("../middlewares/auth.middleware");
+const { requirePermission } = require("../middlewares/role.middleware");
+
+/**
+ * @swagger
+ * /api/v1/certificates/courses/{courseId}:
+ *   post:
+ *     summary: Claim a course certificate
+ *     description: Issues the certificate for a course once the learner meets the configured completion rules. Claiming again returns the certificate already issued.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Certificate issued successfully
+ *       200:
+ *         description: Certificate already issued
+ *       400:
+ *         description: The learner does not qualify yet, the message says why
+ *       403:
+ *         description: The learner's certificate was revoked
+ *       404:
+ *         description: Course not found
+ *
+ * @route    POST api/v1/certificates/courses/{courseId}
+ * @desc     Claim the certificate for a completed course
+ * @access   Private
+ */
+router.post(
+  "/certificates/courses/:courseId",
+  auth,
+  blockDuringImpersonation,
+  claimCourseCertificate
+);
+
+/**
+ * @route    POST api/v1/certificates/workshops/{workshopId}
+ * @desc     Claim the certificate of attendance for a workshop
+ * @access   Private
+ */
+router.post(
+  "/certificates/workshops/:workshopId",
+  auth,
+  blockDuringImpersonation,
+  claimWorkshopCertificate
+);
+
+/**
+ * @route    GET api/v1/certificates/me
+ * @desc     Get the certificates issued to the logged in user
+ * @access   Private
+ */
+router.get("/certificates/me", auth, getMyCertificates);
+
+/**
+ * @swagger
+ * /api/v1/certificates/{serial}/pdf:
+ *   get:
+ *     summary: Download a certificate
+ *     description: Renders the certificate as an A4 PDF. Available to its holder and to users with certificates:manage.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: serial
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: SKG-7KQ2M9XD4P
+ *     responses:
+ *       200:
+ *         description: The certificate PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: The certificate has been revoked
+ *       404:
+ *         description: Certificate not found
+ *
+ * @route    GET api/v1/certificates/{serial}/pdf
+ * @desc     Download a certificate as a PDF
+ * @access   Private (holder or certificates:manage)
+ */
+router.get("/certificates/:serial/pdf", auth, downloadCertificate);
+
+/**
+ * @swagger
+ * /api/v1/certificates/{serial}/verify:
+ *   get:
+ *     summary: Verify a certificate
+ *     description: Confirms that a certificate was issued with this serial number and whether it is still valid. No login needed.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: serial
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: SKG-7KQ2M9XD4P
+ *     responses:
+ *       200:
+ *         description: The certificate, with valid set to false when it has been revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 valid:
+ *                   type: boolean
+ *                   example: true
+ *                 certificate:
+ *                   type: object
+ *                   properties:
+ *                     serial:
+ *                       type: string
+ *                     recipientName:
+ *                       type: string
+ *                     title:
+ *                       type: string
+ *                     kind:
+ *                       type: string
+ *                       enum: [course, workshop]
+ *                     issuer:
+ *                       type: string
+ *                     issuedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     revokedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *       404:
+ *         description: No certificate was issued with this serial number
+ *
+ * @route    GET api/v1/certificates/{serial}/verify
+ * @desc     Verify a certificate
+ * @access   Public
+ */
+router.get("/certificates/:serial/verify", verifyCertificate);
+
+/**
+ * @route    GET api/v1/dashboard/certificates
+ * @desc     Get every issued certificate, filterable by kind, user and revoked
+ * @access   Private (certificates:manage)
+ */
+router.get(
+  "/dashboard/certificates",
+  auth,
+  requirePermission("certificates:manage"),
+  getCertificates
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/certificates/{serial}/revoke:
+ *   put:
+ *     summary: Revoke a certificate
+ *     description: Marks a certificate as revoked. Verification then reports it as no longer valid and it can't be downloaded or issued again.
+ *     tags: [Certificates]
+ *     parameters:
+ *       - in: path
+ *         name: serial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Issued to the wrong learner
+ *     responses:
+ *       200:
+ *         description: Certificate revoked successfully
+ *       400:
+ *         description: Missing reason or already revoked
+ *       404:
+ *         description: Certificate not found
+ *
+ * @route    PUT api/v1/dashboard/certificates/{serial}/revoke
+ * @desc     Revoke a certificate
+ * @access   Private (certificates:manage)
+ */
+router.put(
+  "/dashboard/certificates/:serial/revoke",
+  auth,
+  requirePermission("certificates:manage"),
+  revokeCertificate
+);
+
+module.exports = router;
@@ -0,0 +1,195 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCourseCohorts,
+  createCohort,
+  updateCohort,
+  deleteCohort,
+  getCohortLearners,
+  moveLearnersToCohort,
+} = require("../controllers/cohort.controller");
+const { auth } = require("../middlewares/auth.middleware");
+const { requirePermission, requireScope } = require("../middlewares/role.middleware");
+const { authorizeCourseOwner } = require("../middlewares/ownership.middleware");
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/cohorts:
+ *   get:
+ *     summary: Get a course's cohorts
+ *     description: Lists the intakes of a course by start date, with the seats left in each and whether it still takes enrollments.
+ *     tags: [Courses]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cohorts fetched successfully
+ *       404:
+ *         description: Course not found
+ *
+ * @route    GET api/v1/courses/:courseId/cohorts
+ * @desc     Get a course's cohorts
+ * @access   Private
+ */
+router.get(
+  "/courses/:courseId/cohorts",
+  auth,
+  requireScope("courses:read"),
+  getCourseCohorts
+);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/cohorts:
+ *   post:
+ *     summary: Add a cohort to a course
+ *     description: Once a course has cohorts, every enrollment goes into one of them. Learners pick a cohort with `cohortId` when registering, or join the next open one.
+ *     tags: [Courses]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: January 2027 intake
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               enrollmentDeadline:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to the start date
+ *               capacity:
+ *                 type: integer
+ *                 example: 30
+ *                 description: Leave empty for no limit
+ *     responses:
+ *       201:
+ *         description: Cohort created successfully
+ *       400:
+ *         description: Missing or inconsistent dates, or an invalid capacity
+ *
+ * @route    POST api/v1/courses/:courseId/cohorts
+ * @desc     Add a cohort to a course
+ * @access   Private (courses:update, course instructor)
+ */
+router.post(
+  "/courses/:courseId/cohorts",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  createCohort
+);
+
+/**
+ * @route    PUT api/v1/courses/:courseId/cohorts/:cohortId
+ * @desc     Update a cohort, the capacity can't go below the learners already enrolled. Moving the
+ *           start date moves the enrollment deadline by the same amount unless a new deadline is sent.
+ * @access   Private (courses:update, course instructor)
+ */
+router.put(
+  "/courses/:courseId/cohorts/:cohortId",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  updateCohort
+);
+
+/**
+ * @route    DELETE api/v1/courses/:courseId/cohorts/:cohortId
+ * @desc     Delete a cohort nobody is enrolled in
+ * @access   Private (courses:update, course instructor)
+ */
+router.delete(
+  "/courses/:courseId/cohorts/:cohortId",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  deleteCohort
+);
+
+/**
+ * @route    GET api/v1/courses/:courseId/cohorts/:cohortId/learners
+ * @desc     Get the learners enrolled in a cohort
+ * @access   Private (courses:update, course instructor)
+ */
+router.get(
+  "/courses/:courseId/cohorts/:cohortId/learners",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  getCohortLearners
+);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/cohorts/{cohortId}/learners:
+ *   put:
+ *     summary: Move learners into a cohort
+ *     description: Moves learners registered for the course into this cohort, from another cohort or from none. The enrollment deadline doesn't apply but the capacity does.
+ *     tags: [Courses]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: cohortId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userIds
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Learners moved successfully
+ *       400:
+ *         description: Some users are not registered for the course, or the cohort lacks seats
+ *       404:
+ *         description: Cohort not found
+ *
+ * @route    PUT api/v1/courses/:courseId/cohorts/:cohortId/learners
+ * @desc     Move learners into a cohort
+ * @access   Private (courses:update, course instructor)
+ */
+router.put(
+  "/courses/:courseId/cohorts/:cohortId/learners",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  moveLearnersToCohort
+);
+
+module.exports = router;
@@ -3,8 +3,10 @@ const router = express.Router();
 const courseController = require("../controllers/course.controller");
 const { upload } = require("../middlewares/multer.middleware");
 
-const { auth } = require("../middlewares/auth.middleware");
-const { authorizeRole } = require("../middlewares/role.middleware");
+const { auth, blockDuringImpersonation } = require("../middlewares/auth.middleware");
+const { requirePermission, requireScope } = require("../middlewares/role.middleware");
+const { authorizeCourseOwner } = require("../middlewares/ownership.middleware");
+const { requireVerifiedEmail } = require("../middlewares/verification.middleware");
 
 /** @route    GET api/v1/courses/
  * @desc      Fetch all courses
@@ -16,7 +18,7 @@ router.get("/courses", courseController.getCourses);
  * @desc      Fetch a course by ID
  * @access    Public
  */
-router.get("/:courseId", auth, courseController.getCourseById);
+router.get("/:courseId", auth, requireScope("courses:read"), courseController.getCourseById);
 
 /**
  * @swagger
@@ -40,6 +42,10 @@ router.get("/:courseId", auth, courseController.getCourseById);
  *                 type: string
  *                 description: The reason for registering for the course.
  *                 example: "I want to learn more about this topic."
+ *               cohortId:
+ *                 type: string
+ *                 description: The cohort to enroll into. Defaults to the next open cohort for courses that run in cohorts.
+ *                 example: "1234567890abcdef12345678"
  *               courseImage:
  *                 type: string
  *                 description: The URL of the course image.
@@ -103,17 +109,25 @@ router.get("/:courseId", auth, courseController.getCourseById);
  * @desc      Register for a course
  * @access    Private
  */
-router.post("/courses/register", auth, courseController.registerForCourse);
+router.post(
+  "/courses/register",
+  auth,
+  requireVerifiedEmail,
+  courseController.registerForCourse
+);
 
 /**
  * @route    POST api/v1/courses/
- * @desc      Create a new course
- * @access    Private (admin only)
+ * @desc      Create a new course. Instructors are linked to the courses they create;
+ *            admins can link one with `instructorId`. Pass `organization` to run it for a
+ *            partner organization you administer.
+ *            Set `enrollmentApproval` to `manual` to review applications before learners are enrolled.
+ * @access    Private (courses:create)
  */
 router.post(
   "/courses",
   auth,
-  authorizeRole("admin"),
+  requirePermission("courses:create", "courses:write"),
   upload.single("courseImage"),
   courseController.createCourse
 );
@@ -206,13 +220,14 @@ router.post(
 router.get(
   "/dashboard/registeredCourses",
   auth,
+  requireScope("courses:read"),
   courseController.getRegisteredCourses
 );
 
 /**
  * @route    GET api/v1/dashboard/registeredUsers
  * @desc      GET all registered users for a course
- * @access    Private (admin only)
+ * @access    Private (courses:registrations:read)
  * @swagger
  * /api/v1/dashboard/{courseId}/registeredUsers:
  *  get:
@@ -268,10 +283,62 @@ router.get(
 router.get(
   "/dashboard/:courseId/registeredUsers",
   auth,
-  authorizeRole("admin"),
+  requirePermission("courses:registrations:read", "courses:read"),
+  authorizeCourseOwner,
   courseController.getRegisteredUsers
 );
 
+/**
+ * @swagger
+ * /api/v1/dashboard/{courseId}/message:
+ *   post:
+ *     summary: Message the students of a course
+ *     description: Emails every student enrolled in the course and adds a notification to their dashboard. Instructors can only message the students of the courses they teach.
+ *     tags: [Courses]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - subject
+ *               - message
+ *             properties:
+ *               subject:
+ *                 type: string
+ *                 example: Week 3 materials are up
+ *               message:
+ *                 type: string
+ *                 example: Please go through the slides before Thursday's session.
+ *     responses:
+ *       200:
+ *         description: Message sent to the enrolled students
+ *       400:
+ *         description: Subject and message are required
+ *       403:
+ *         description: The user does not teach this course
+ *       404:
+ *         description: Course not found or no students enrolled
+ *
+ * @route    POST api/v1/dashboard/:courseId/message
+ * @desc     Message the students enrolled in a course
+ * @access   Private (courses:students:message)
+ */
+router.post(
+  "/dashboard/:courseId/message",
+  auth,
+  requirePermission("courses:students:message", "courses:write"),
+  authorizeCourseOwner,
+  courseController.messageCourseStudents
+);
+
 /**
  * @swagger
  * /api/v1/dashboard/otherCourses:
@@ -355,7 +422,7 @@ router.get(
  * @desc      GET all other courses
  * @access    Private
  */
-router.get("/dashboard/otherCourses", auth, courseController.getOtherCourses);
+router.get("/dashboard/otherCourses", auth, requireScope("courses:read"), courseController.getOtherCourses);
 
 /**
  * @swagger
@@ -372,6 +439,15 @@ router.get("/dashboard/otherCourses", auth, courseController.getOtherCourses);
  *           type: string
  *           example: "1234567890abcdef12345678"
  *     tags: ["Courses"]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cohortId:
+ *                 type: string
+ *                 description: The cohort to enroll into. Defaults to the next open cohort for courses that run in cohorts.
  *     responses:
  *       200:
  *         description: Successfully registered for this course.
@@ -451,13 +527,14 @@ router.get("/dashboard/otherCourses", auth, courseController.getOtherCourses);
 router.post(
   "/dashboard/:courseId/register",
   auth,
+  requireVerifiedEmail,
   courseController.registerForOtherCourses
 );
 
 /**
  * @route   DELETE api/v1/courses/:courseId
  * @desc    Delete a course
- * @access  Private (admin only)
+ * @access  Private (courses:delete)
  *
  * @swagger
  * /api/v1/courses/{courseId}:
@@ -503,14 +580,15 @@ router.post(
 router.delete(
   "/courses/:courseId",
   auth,
-  authorizeRole("admin"),
+  requirePermission("courses:delete", "courses:write"),
+  authorizeCourseOwner,
   courseController.deleteCourse
 );
 
 /**
  * @route   PUT api/v1/courses/:courseId
  * @desc    Update a course
- * @access  Private (admin only)
+ * @access  Private (courses:update)
  * @swagger
  * /api/v1/courses/{courseId}:
  *   put:
@@ -555,7 +633,8 @@ router.delete(
 router.put(
   "/courses/:courseId",
   auth,
-  authorizeRole("admin"),
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
   upload.single("courseImage"),
   courseController.updateCourse
 );
@@ -568,13 +647,14 @@ router.put(
 router.post(
   "/dashboard/:courseId/unregister",
   auth,
+  blockDuringImpersonation,
   courseController.unregisterFromCourse
 );
 
 /**
  * @route    POST api/v1/dashboard/metrics
  * @desc      Get dashboard metrics
- * @access    Private (admin only)
+ * @access    Private (metrics:read)
  * @swagger
  * /api/v1/dashboard/metrics:
  *   get:
@@ -614,7 +694,7 @@ router.post(
 router.get(
   "/dashboard/metrics",
   auth,
-  authorizeRole("admin"),
+  requirePermission("metrics:read", "metrics:read"),
   courseController.getDashboardMetrics
 );
 /**
@@ -652,25 +732,25 @@ router.get(
 /**
  * @route     GET api/v1/dashboard/registeredCourses
  * @desc      Get all registered courses in the system
- * @access    Private (admin only)
+ * @access    Private (courses:registrations:read)
  */
 
 router.get(
   "/dashboard/admin/courses",
   auth,
-  authorizeRole("admin"),
+  requirePermission("courses:registrations:read", "courses:read"),
   courseController.getRegisteredCoursesByAdmin
 );
 
 /**
  * @route     GET api/v1/dashboard/registeredUsers
  * @desc      Get all registered courses and users
- * @access    Private (admin only)
+ * @access    Private (courses:registrations:read)
  */
 router.get(
   "/dashboard/students",
   auth,
-  authorizeRole("admin"),
+  requirePermission("courses:registrations:read", "users:read"),
   courseController.getRegisteredUsersByAdmin
 );
 
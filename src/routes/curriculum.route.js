@@ -0,0 +1,337 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCourseModules,
+  createModule,
+  updateModule,
+  deleteModule,
+  reorderModules,
+  createLesson,
+  getLesson,
+  updateLesson,
+  deleteLesson,
+  reorderLessons,
+} = require("../controllers/curriculum.controller");
+const {
+  updateLessonProgress,
+  completeLesson,
+  getMyCourseProgress,
+} = require("../controllers/progress.controller");
+const { uploadDocument } = require("../middlewares/multer.middleware");
+const { auth } = require("../middlewares/auth.middleware");
+const { requirePermission, requireScope } = require("../middlewares/role.middleware");
+const {
+  authorizeCourseOwner,
+  authorizeCourseLearner,
+} = require("../middlewares/ownership.middleware");
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/modules:
+ *   get:
+ *     summary: Get a course's curriculum
+ *     description: Lists the course's modules in order with the outline of their lessons (title, type and estimated time). Lesson content is only returned to registered learners by the lesson endpoint.
+ *     tags: [Courses]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Course modules fetched successfully
+ *       404:
+ *         description: Course not found
+ *
+ * @route    GET api/v1/courses/:courseId/modules
+ * @desc     Get a course's modules and lesson outline
+ * @access   Private
+ */
+router.get(
+  "/courses/:courseId/modules",
+  auth,
+  requireScope("courses:read"),
+  getCourseModules
+);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/modules:
+ *   post:
+ *     summary: Add a module to a course
+ *     tags: [Courses]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: Introduction to HTML
+ *               description:
+ *                 type: string
+ *                 example: Structure your first web page
+ *               order:
+ *                 type: integer
+ *                 description: Position in the course, added last when left out
+ *                 example: 0
+ *     responses:
+ *       201:
+ *         description: Module created successfully
+ *       403:
+ *         description: Access denied
+ *
+ * @route    POST api/v1/courses/:courseId/modules
+ * @desc     Add a module to a course
+ * @access   Private (courses:update, course instructor)
+ */
+router.post(
+  "/courses/:courseId/modules",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  createModule
+);
+
+/**
+ * @route    PUT api/v1/courses/:courseId/modules/order
+ * @desc     Reorder a course's modules, send every module id in the new order as `moduleIds`
+ * @access   Private (courses:update, course instructor)
+ */
+router.put(
+  "/courses/:courseId/modules/order",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  reorderModules
+);
+
+/**
+ * @route    PUT api/v1/courses/:courseId/modules/:moduleId
+ * @desc     Update a module
+ * @access   Private (courses:update, course instructor)
+ */
+router.put(
+  "/courses/:courseId/modules/:moduleId",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  updateModule
+);
+
+/**
+ * @route    DELETE api/v1/courses/:courseId/modules/:moduleId
+ * @desc     Delete a module and its lessons
+ * @access   Private (courses:update, course instructor)
+ */
+router.delete(
+  "/courses/:courseId/modules/:moduleId",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  deleteModule
+);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/modules/{moduleId}/lessons:
+ *   post:
+ *     summary: Add a lesson to a module
+ *     description: Text lessons need `content` (markdown), video and link lessons need a `url`, file lessons need an uploaded `file` (pdf, docx, pptx, xlsx, txt or zip), which other lesson types don't accept.
+ *     tags: [Courses]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - type
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: Your first HTML page
+ *               type:
+ *                 type: string
+ *                 enum: [text, video, file, link]
+ *               content:
+ *                 type: string
+ *                 example: "# Headings\nUse `<h1>` for the page title."
+ *               url:
+ *                 type: string
+ *                 example: https://www.youtube.com/watch?v=example
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               estimatedMinutes:
+ *                 type: integer
+ *                 example: 15
+ *               order:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Lesson created successfully
+ *       400:
+ *         description: Missing title or content for the lesson type, or a file sent for a lesson that isn't a file lesson
+ *       404:
+ *         description: Module not found
+ *
+ * @route    POST api/v1/courses/:courseId/modules/:moduleId/lessons
+ * @desc     Add a lesson to a module
+ * @access   Private (courses:update, course instructor)
+ */
+router.post(
+  "/courses/:courseId/modules/:moduleId/lessons",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  uploadDocument.single("file"),
+  createLesson
+);
+
+/**
+ * @route    PUT api/v1/courses/:courseId/modules/:moduleId/lessons/order
+ * @desc     Reorder a module's lessons, send every lesson id in the new order as `lessonIds`
+ * @access   Private (courses:update, course instructor)
+ */
+router.put(
+  "/courses/:courseId/modules/:moduleId/lessons/order",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  reorderLessons
+);
+
+/**
+ * @route    GET api/v1/courses/:courseId/modules/:moduleId/lessons/:lessonId
+ * @desc     Get a lesson with its content
+ * @access   Private (registered learners and the course's instructors)
+ */
+router.get(
+  "/courses/:courseId/modules/:moduleId/lessons/:lessonId",
+  auth,
+  requireScope("courses:read"),
+  authorizeCourseLearner,
+  getLesson
+);
+
+/**
+ * @route    PUT api/v1/courses/:courseId/modules/:moduleId/lessons/:lessonId
+ * @desc     Update a lesson
+ * @access   Private (courses:update, course instructor)
+ */
+router.put(
+  "/courses/:courseId/modules/:moduleId/lessons/:lessonId",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  uploadDocument.single("file"),
+  updateLesson
+);
+
+/**
+ * @route    DELETE api/v1/courses/:courseId/modules/:moduleId/lessons/:lessonId
+ * @desc     Delete a lesson
+ * @access   Private (courses:update, course instructor)
+ */
+router.delete(
+  "/courses/:courseId/modules/:moduleId/lessons/:lessonId",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  deleteLesson
+);
+
+/**
+ * @route    PUT api/v1/courses/:courseId/modules/:moduleId/lessons/:lessonId/progress
+ * @desc     Save where the learner is in a lesson, e.g. `{ "position": 95 }` seconds into a video
+ * @access   Private (registered learners)
+ */
+router.put(
+  "/courses/:courseId/modules/:moduleId/lessons/:lessonId/progress",
+  auth,
+  requireScope("courses:write"),
+  authorizeCourseLearner,
+  updateLessonProgress
+);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/modules/{moduleId}/lessons/{lessonId}/complete:
+ *   post:
+ *     summary: Mark a lesson as completed
+ *     description: Records the lesson as completed for the logged-in learner and returns their updated completion percentage for the course.
+ *     tags: [Courses]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: moduleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: lessonId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lesson marked as completed
+ *       403:
+ *         description: Not registered for this course
+ *       404:
+ *         description: Lesson not found
+ *
+ * @route    POST api/v1/courses/:courseId/modules/:moduleId/lessons/:lessonId/complete
+ * @desc     Mark a lesson as completed
+ * @access   Private (registered learners)
+ */
+router.post(
+  "/courses/:courseId/modules/:moduleId/lessons/:lessonId/complete",
+  auth,
+  requireScope("courses:write"),
+  authorizeCourseLearner,
+  completeLesson
+);
+
+/**
+ * @route    GET api/v1/courses/:courseId/progress
+ * @desc     Get the logged-in learner's progress through a course
+ * @access   Private (registered learners)
+ */
+router.get(
+  "/courses/:courseId/progress",
+  auth,
+  requireScope("courses:read"),
+  authorizeCourseLearner,
+  getMyCourseProgress
+);
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCourseApplications,
+  reviewApplications,
+} = require("../controllers/enrollment.controller");
+const { auth } = require("../middlewares/auth.middleware");
+const { requirePermission } = require("../middlewares/role.middleware");
+const { authorizeCourseOwner } = require("../middlewares/ownership.middleware");
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/applications:
+ *   get:
+ *     summary: Get a course's applications
+ *     description: Lists the applications to a course with the applicant, their message and the cohort they applied for. Courses with manual approval keep new applications pending until they are reviewed.
+ *     tags: [Courses]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, withdrawn]
+ *           default: pending
+ *     responses:
+ *       200:
+ *         description: Applications fetched successfully
+ *       400:
+ *         description: Unknown status
+ *
+ * @route    GET api/v1/courses/:courseId/applications
+ * @desc     Get a course's applications, filterable by status
+ * @access   Private (courses:enrollments:review, course instructor)
+ */
+router.get(
+  "/courses/:courseId/applications",
+  auth,
+  requirePermission("courses:enrollments:review", "courses:read"),
+  authorizeCourseOwner,
+  getCourseApplications
+);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/applications/review:
+ *   put:
+ *     summary: Approve or reject applications
+ *     description: Decides a batch of pending applications. Approved applicants are enrolled; rejected ones give back their cohort seat. Each applicant gets a notification and an email, with the note when one is given.
+ *     tags: [Courses]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - registrationIds
+ *               - decision
+ *             properties:
+ *               registrationIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               decision:
+ *                 type: string
+ *                 enum: [approved, rejected]
+ *               note:
+ *                 type: string
+ *                 example: Welcome aboard, orientation is on Monday.
+ *     responses:
+ *       200:
+ *         description: Applications reviewed, `skipped` lists the IDs that were not pending applications to this course
+ *       400:
+ *         description: Missing IDs or unknown decision
+ *
+ * @route    PUT api/v1/courses/:courseId/applications/review
+ * @desc     Approve or reject a batch of applications
+ * @access   Private (courses:enrollments:review, course instructor)
+ */
+router.put(
+  "/courses/:courseId/applications/review",
+  auth,
+  requirePermission("courses:enrollments:review", "courses:write"),
+  authorizeCourseOwner,
+  reviewApplications
+);
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require("express");
+const router = express.Router();
+const {
+  startImpersonation,
+  endImpersonation,
+} = require("../controllers/impersonation.controller");
+const { auth } = require("../middlewares/auth.middleware");
+const { requirePermission } = require("../middlewares/role.middleware");
+
+/**
+ * @swagger
+ * /api/v1/dashboard/users/{userId}/impersonate:
+ *   post:
+ *     summary: Sign in as a user
+ *     description: Lets support staff see the dashboard exactly as a learner does. Replaces the admin's `accessToken` cookie with a token for the user that also carries the admin's id, expires after `IMPERSONATION_TTL_MINUTES` (30 by default) and cannot be refreshed. Responses made with it carry an `X-Impersonated-By` header. Deleting the profile, changing the password, unregistering and managing 2FA, sessions or API keys are blocked while impersonating. Only accounts with the `user` role can be impersonated, and only by roles with the `users:impersonate` permission. The start and end are recorded in the audit log.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Ticket 1042 - learner cannot see their registered courses
+ *     responses:
+ *       200:
+ *         description: Signed in as the user
+ *       400:
+ *         description: Admin tried to impersonate themselves
+ *       403:
+ *         description: Only learner accounts can be impersonated
+ *       404:
+ *         description: User not found
+ *
+ * @route    POST api/v1/dashboard/users/:userId/impersonate
+ * @desc     Sign in as a user
+ * @access   Private (users:impersonate)
+ */
+router.post(
+  "/dashboard/users/:userId/impersonate",
+  auth,
+  requirePermission("users:impersonate"),
+  startImpersonation
+);
+
+/**
+ * @route    POST api/v1/dashboard/impersonation/end
+ * @desc     Stop impersonating, call /auth/refresh afterwards to get the admin's own access token back
+ * @access   Private (impersonation only)
+ */
+router.post("/dashboard/impersonation/end", auth, endImpersonation);
+
+module.exports = router;
@@ -0,0 +1,130 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createInvitation,
+  getInvitations,
+  revokeInvitation,
+  acceptInvitation,
+} = require("../controllers/invitation.controller");
+const { auth } = require("../middlewares/auth.middleware");
+const { authorizeRole } = require("../middlewares/role.middleware");
+
+/**
+ * @swagger
+ * /api/v1/dashboard/invitations:
+ *   post:
+ *     summary: Invite a new user
+ *     description: This endpoint allows an admin to invite someone by email with a role. The invitee receives an expiring link to set up their account.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: ama.serwah@gmail.com
+ *               role:
+ *                 type: string
+ *                 enum:
+ *                  - admin
+ *                  - user
+ *                  - instructor
+ *                  - facilitator
+ *                  - support
+ *                  - content-editor
+ *                 example: "admin"
+ *     responses:
+ *       201:
+ *         description: Invitation sent successfully
+ *       400:
+ *         description: Email and role are required, invalid role or user already exists
+ *       500:
+ *         description: Internal Server Error
+ *
+ * @route    POST api/v1/dashboard/invitations
+ * @desc     Invite a new user with a role
+ * @access   Private (admin only)
+ */
+router.post(
+  "/dashboard/invitations",
+  auth,
+  authorizeRole("admin"),
+  createInvitation
+);
+
+/**
+ * @route    GET api/v1/dashboard/invitations
+ * @desc     Get all invitations
+ * @access   Private (admin only)
+ */
+router.get(
+  "/dashboard/invitations",
+  auth,
+  authorizeRole("admin"),
+  getInvitations
+);
+
+/**
+ * @route    DELETE api/v1/dashboard/invitations/:invitationId
+ * @desc     Revoke a pending invitation
+ * @access   Private (admin only)
+ */
+router.delete(
+  "/dashboard/invitations/:invitationId",
+  auth,
+  authorizeRole("admin"),
+  revokeInvitation
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/accept-invite:
+ *   post:
+ *     summary: Accept an invitation
+ *     description: This endpoint creates the invited account with the role chosen by the admin.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - firstName
+ *               - lastName
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 example: 3f9a1c0e5b7d...
+ *               firstName:
+ *                 type: string
+ *                 example: Ama
+ *               lastName:
+ *                 type: string
+ *                 example: Serwah
+ *               password:
+ *                 type: string
+ *                 example: Serwah1234
+ *     responses:
+ *       201:
+ *         description: Invitation accepted successfully
+ *       400:
+ *         description: All fields are required, invalid or expired invitation or user already exists
+ *       500:
+ *         description: Internal Server Error
+ *
+ * @route    POST api/v1/auth/accept-invite
+ * @desc     Accept an invitation and create the invited account
+ * @access   Public
+ */
+router.post("/auth/accept-invite", acceptInvitation);
+
+module.exports = router;
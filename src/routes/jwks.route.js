@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const { getJwks } = require("../controllers/jwks.controller");
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Get the JSON Web Key Set
+ *     description: Public keys that sign our access tokens, keyed by the `kid` in each token's header. Includes keys that are about to start signing and retired keys whose tokens may still be valid, so other services can verify tokens without sharing a secret.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: The JSON Web Key Set
+ *       500:
+ *         description: Internal Server Error
+ *
+ * @route    GET /.well-known/jwks.json
+ * @desc     Get the public signing keys
+ * @access   Public
+ */
+router.get("/.well-known/jwks.json", getJwks);
+
+module.exports = router;
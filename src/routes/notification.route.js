@@ -7,34 +7,98 @@ const {
   deleteAllNotificationsByAdmin,
   markAllNotificationsAsReadByAdmin,
   findNotificationsByUserId,
+  markAllMyNotificationsAsRead,
+  markNotificationAsReadByAdmin,
+  deleteNotificationByAdmin,
 } = require("../controllers/notification.controller");
 
 const { auth } = require("../middlewares/auth.middleware");
-const { authorizeRole } = require("../middlewares/role.middleware");
+const { requirePermission } = require("../middlewares/role.middleware");
 
 router.get(
   "/dashboard/notifications",
   auth,
-  authorizeRole("admin"),
+  requirePermission("notifications:read"),
   getAllNotifications
 );
 
 router.get("/dashboard/user/notifications", auth, findNotificationsByUserId);
 
+/**
+ * @route    PUT api/v1/dashboard/user/notifications
+ * @desc     Mark all of the logged-in user's notifications as read
+ * @access   Private
+ */
+router.put("/dashboard/user/notifications", auth, markAllMyNotificationsAsRead);
+
+/**
+ * @route    PUT api/v1/dashboard/notifications/:notificationId
+ * @desc     Mark one of the logged-in user's notifications as read
+ * @access   Private (owner only)
+ */
 router.put(
   "/dashboard/notifications/:notificationId",
   auth,
   markNotificationAsRead
 );
 
+/**
+ * @route    DELETE api/v1/dashboard/notifications/:notificationId
+ * @desc     Delete one of the logged-in user's notifications
+ * @access   Private (owner only)
+ */
 router.delete(
   "/dashboard/notifications/:notificationId",
   auth,
   deleteNotification
 );
 
-router.delete("/dashboard/notifications", auth, deleteAllNotificationsByAdmin);
+/**
+ * @route    PUT api/v1/dashboard/admin/notifications/:notificationId
+ * @desc     Mark any notification in the admin feed as read
+ * @access   Private (notifications:manage)
+ */
+router.put(
+  "/dashboard/admin/notifications/:notificationId",
+  auth,
+  requirePermission("notifications:manage"),
+  markNotificationAsReadByAdmin
+);
 
-router.put("/dashboard/notifications", auth, markAllNotificationsAsReadByAdmin);
+/**
+ * @route    DELETE api/v1/dashboard/admin/notifications/:notificationId
+ * @desc     Delete any notification from the admin feed
+ * @access   Private (notifications:manage)
+ */
+router.delete(
+  "/dashboard/admin/notifications/:notificationId",
+  auth,
+  requirePermission("notifications:manage"),
+  deleteNotificationByAdmin
+);
+
+/**
+ * @route    DELETE api/v1/dashboard/notifications
+ * @desc     Delete every notification
+ * @access   Private (notifications:manage)
+ */
+router.delete(
+  "/dashboard/notifications",
+  auth,
+  requirePermission("notifications:manage"),
+  deleteAllNotificationsByAdmin
+);
+
+/**
+ * @route    PUT api/v1/dashboard/notifications
+ * @desc     Mark every notification as read
+ * @access   Private (notifications:manage)
+ */
+router.put(
+  "/dashboard/notifications",
+  auth,
+  requirePermission("notifications:manage"),
+  markAllNotificationsAsReadByAdmin
+);
 
 module.exports = router;
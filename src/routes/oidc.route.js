@@ -0,0 +1,59 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getProviders,
+  startSignIn,
+  handleCallback,
+} = require("../controllers/oidc.controller");
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/providers:
+ *   get:
+ *     summary: List social sign-in providers
+ *     description: Returns the OpenID Connect providers (such as Google) that are configured on this server.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Sign-in providers fetched successfully
+ *
+ * @route    GET api/v1/auth/oidc/providers
+ * @desc     List the enabled sign-in providers
+ * @access   Public
+ */
+router.get("/auth/oidc/providers", getProviders);
+
+/**
+ * @swagger
+ * /api/v1/auth/oidc/{provider}:
+ *   get:
+ *     summary: Sign in with a provider
+ *     description: Starts the authorization code flow with PKCE by redirecting the browser to the provider, and sets a short-lived `oidcState` cookie that the callback must receive from the same browser. The provider redirects back to the callback, which sets the `accessToken` and `refreshToken` cookies and redirects to the frontend.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: google
+ *     responses:
+ *       302:
+ *         description: Redirect to the provider
+ *       404:
+ *         description: Sign-in provider not found
+ *
+ * @route    GET api/v1/auth/oidc/:provider
+ * @desc     Redirect to the provider to sign in
+ * @access   Public
+ */
+router.get("/auth/oidc/:provider", startSignIn);
+
+/**
+ * @route    GET api/v1/auth/oidc/:provider/callback
+ * @desc     Finish signing in when the provider redirects back
+ * @access   Public
+ */
+router.get("/auth/oidc/:provider/callback", handleCallback);
+
+module.exports = router;
@@ -0,0 +1,265 @@
+const express = require("express");
+const router = express.Router();
+const {
+  createOrganization,
+  getOrganizations,
+  getMyOrganizations,
+  getOrganization,
+  updateOrganization,
+  deleteOrganization,
+  addOrganizationMember,
+  updateOrganizationMember,
+  removeOrganizationMember,
+  getOrganizationCourses,
+  getOrganizationWorkshops,
+  getOrganizationNotifications,
+  getOrganizationMetrics,
+} = require("../controllers/organization.controller");
+const { auth } = require("../middlewares/auth.middleware");
+const { requirePermission, requireScope } = require("../middlewares/role.middleware");
+const {
+  authorizeOrganizationMember,
+  authorizeOrganizationAdmin,
+} = require("../middlewares/organization.middleware");
+
+/**
+ * @swagger
+ * /api/v1/dashboard/organizations:
+ *   post:
+ *     summary: Create an organization
+ *     description: Creates a partner organization. Courses and workshops assigned to it are only visible to its members.
+ *     tags: [Organizations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Ghana Commercial Bank
+ *               description:
+ *                 type: string
+ *                 example: Digital skills programme for 40 sponsored learners
+ *               contactEmail:
+ *                 type: string
+ *                 example: training@example.com
+ *     responses:
+ *       201:
+ *         description: Organization created successfully
+ *       400:
+ *         description: Missing name or name already taken
+ *
+ * @route    POST api/v1/dashboard/organizations
+ * @desc     Create an organization
+ * @access   Private (organizations:manage)
+ */
+router.post(
+  "/dashboard/organizations",
+  auth,
+  requirePermission("organizations:manage"),
+  createOrganization
+);
+
+/**
+ * @route    GET api/v1/dashboard/organizations
+ * @desc     List every organization with its member count
+ * @access   Private (organizations:manage)
+ */
+router.get(
+  "/dashboard/organizations",
+  auth,
+  requirePermission("organizations:manage"),
+  getOrganizations
+);
+
+/**
+ * @route    GET api/v1/dashboard/organizations/mine
+ * @desc     List the organizations the logged-in user belongs to
+ * @access   Private
+ */
+router.get("/dashboard/organizations/mine", auth, getMyOrganizations);
+
+/**
+ * @route    GET api/v1/dashboard/organizations/:organizationId
+ * @desc     Get an organization with its members
+ * @access   Private (org-admins)
+ */
+router.get(
+  "/dashboard/organizations/:organizationId",
+  auth,
+  authorizeOrganizationAdmin,
+  getOrganization
+);
+
+/**
+ * @route    PUT api/v1/dashboard/organizations/:organizationId
+ * @desc     Update an organization's details
+ * @access   Private (organizations:manage)
+ */
+router.put(
+  "/dashboard/organizations/:organizationId",
+  auth,
+  requirePermission("organizations:manage"),
+  updateOrganization
+);
+
+/**
+ * @route    DELETE api/v1/dashboard/organizations/:organizationId
+ * @desc     Delete an organization without courses or workshops
+ * @access   Private (organizations:manage)
+ */
+router.delete(
+  "/dashboard/organizations/:organizationId",
+  auth,
+  requirePermission("organizations:manage"),
+  deleteOrganization
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/organizations/{organizationId}/members:
+ *   post:
+ *     summary: Add a member to an organization
+ *     description: Adds an existing user to the organization. Org-admins manage the members and see the organization's dashboard.
+ *     tags: [Organizations]
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: learner@example.com
+ *               role:
+ *                 type: string
+ *                 enum: [member, admin]
+ *                 example: member
+ *     responses:
+ *       201:
+ *         description: Member added successfully
+ *       400:
+ *         description: Missing email, invalid role or already a member
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: User or organization not found
+ *
+ * @route    POST api/v1/dashboard/organizations/:organizationId/members
+ * @desc     Add a member to an organization
+ * @access   Private (org-admins)
+ */
+router.post(
+  "/dashboard/organizations/:organizationId/members",
+  auth,
+  authorizeOrganizationAdmin,
+  addOrganizationMember
+);
+
+/**
+ * @route    PUT api/v1/dashboard/organizations/:organizationId/members/:userId
+ * @desc     Change a member's role in an organization
+ * @access   Private (org-admins)
+ */
+router.put(
+  "/dashboard/organizations/:organizationId/members/:userId",
+  auth,
+  authorizeOrganizationAdmin,
+  updateOrganizationMember
+);
+
+/**
+ * @route    DELETE api/v1/dashboard/organizations/:organizationId/members/:userId
+ * @desc     Remove a member from an organization
+ * @access   Private (org-admins)
+ */
+router.delete(
+  "/dashboard/organizations/:organizationId/members/:userId",
+  auth,
+  authorizeOrganizationAdmin,
+  removeOrganizationMember
+);
+
+/**
+ * @route    GET api/v1/dashboard/organizations/:organizationId/courses
+ * @desc     List an organization's courses
+ * @access   Private (members)
+ */
+router.get(
+  "/dashboard/organizations/:organizationId/courses",
+  auth,
+  authorizeOrganizationMember,
+  getOrganizationCourses
+);
+
+/**
+ * @route    GET api/v1/dashboard/organizations/:organizationId/workshops
+ * @desc     List an organization's workshops
+ * @access   Private (members)
+ */
+router.get(
+  "/dashboard/organizations/:organizationId/workshops",
+  auth,
+  authorizeOrganizationMember,
+  getOrganizationWorkshops
+);
+
+/**
+ * @route    GET api/v1/dashboard/organizations/:organizationId/notifications
+ * @desc     Notifications about an organization's courses and workshops
+ * @access   Private (org-admins)
+ */
+router.get(
+  "/dashboard/organizations/:organizationId/notifications",
+  auth,
+  authorizeOrganizationAdmin,
+  getOrganizationNotifications
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/organizations/{organizationId}/metrics:
+ *   get:
+ *     summary: Get an organization's dashboard metrics
+ *     description: The dashboard statistics limited to the organization's members, courses and workshops.
+ *     tags: [Organizations]
+ *     parameters:
+ *       - in: path
+ *         name: organizationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Successfully fetched organization metrics
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Organization not found
+ *
+ * @route    GET api/v1/dashboard/organizations/:organizationId/metrics
+ * @desc     Get an organization's dashboard metrics
+ * @access   Private (org-admins)
+ */
+router.get(
+  "/dashboard/organizations/:organizationId/metrics",
+  auth,
+  requireScope("metrics:read"),
+  authorizeOrganizationAdmin,
+  getOrganizationMetrics
+);
+
+module.exports = router;
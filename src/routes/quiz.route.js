@@ -0,0 +1,244 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getCourseQuizzes,
+  createQuiz,
+  updateQuiz,
+  deleteQuiz,
+  startQuizAttempt,
+  submitQuizAttempt,
+  getMyQuizAttempts,
+  exportQuizResults,
+} = require("../controllers/quiz.controller");
+const { auth } = require("../middlewares/auth.middleware");
+const { requirePermission, requireScope } = require("../middlewares/role.middleware");
+const {
+  authorizeCourseOwner,
+  authorizeCourseLearner,
+} = require("../middlewares/ownership.middleware");
+
+/**
+ * @route    GET api/v1/courses/:courseId/quizzes
+ * @desc     List a course's quizzes with the learner's results. Instructors get every quiz with its answer key.
+ * @access   Private (registered learners and the course's instructors)
+ */
+router.get(
+  "/courses/:courseId/quizzes",
+  auth,
+  requireScope("courses:read"),
+  authorizeCourseLearner,
+  getCourseQuizzes
+);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/quizzes:
+ *   post:
+ *     summary: Create a quiz
+ *     description: Creates a quiz for the course, or for one of its lessons with `lessonId`. Learners only see published quizzes and never receive `correctAnswers`.
+ *     tags: [Courses]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 example: HTML basics check
+ *               lessonId:
+ *                 type: string
+ *               passMark:
+ *                 type: integer
+ *                 description: Percentage needed to pass
+ *                 example: 70
+ *               maxAttempts:
+ *                 type: integer
+ *                 description: 0 allows unlimited attempts
+ *                 example: 3
+ *               timeLimitMinutes:
+ *                 type: integer
+ *                 description: 0 means no time limit
+ *                 example: 15
+ *               published:
+ *                 type: boolean
+ *               questions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [multiple-choice, multi-select, true-false, short-answer]
+ *                     prompt:
+ *                       type: string
+ *                       example: Which tag holds the page title?
+ *                     options:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["<h1>", "<title>", "<head>"]
+ *                     correctAnswers:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["<title>"]
+ *                     points:
+ *                       type: integer
+ *                       example: 1
+ *     responses:
+ *       201:
+ *         description: Quiz created successfully
+ *       400:
+ *         description: Invalid quiz or questions
+ *
+ * @route    POST api/v1/courses/:courseId/quizzes
+ * @desc     Create a quiz
+ * @access   Private (courses:update, course instructor)
+ */
+router.post(
+  "/courses/:courseId/quizzes",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  createQuiz
+);
+
+/**
+ * @route    GET api/v1/courses/:courseId/quizzes/results
+ * @desc     Export every learner's quiz results for a course, add `?format=csv` for a spreadsheet
+ * @access   Private (courses:registrations:read, course instructor)
+ */
+router.get(
+  "/courses/:courseId/quizzes/results",
+  auth,
+  requirePermission("courses:registrations:read", "courses:read"),
+  authorizeCourseOwner,
+  exportQuizResults
+);
+
+/**
+ * @route    PUT api/v1/courses/:courseId/quizzes/:quizId
+ * @desc     Update a quiz. Send questions back with their `_id` to keep them, attempts in progress
+ *           are graded against the question ids they were started with.
+ * @access   Private (courses:update, course instructor)
+ */
+router.put(
+  "/courses/:courseId/quizzes/:quizId",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  updateQuiz
+);
+
+/**
+ * @route    DELETE api/v1/courses/:courseId/quizzes/:quizId
+ * @desc     Delete a quiz and its attempts
+ * @access   Private (courses:update, course instructor)
+ */
+router.delete(
+  "/courses/:courseId/quizzes/:quizId",
+  auth,
+  requirePermission("courses:update", "courses:write"),
+  authorizeCourseOwner,
+  deleteQuiz
+);
+
+/**
+ * @route    GET api/v1/courses/:courseId/quizzes/:quizId/attempts
+ * @desc     Get the learner's attempt history for a quiz
+ * @access   Private (registered learners)
+ */
+router.get(
+  "/courses/:courseId/quizzes/:quizId/attempts",
+  auth,
+  requireScope("courses:read"),
+  authorizeCourseLearner,
+  getMyQuizAttempts
+);
+
+/**
+ * @route    POST api/v1/courses/:courseId/quizzes/:quizId/attempts
+ * @desc     Start a quiz attempt, or continue the one in progress. Returns the questions without answers.
+ * @access   Private (registered learners)
+ */
+router.post(
+  "/courses/:courseId/quizzes/:quizId/attempts",
+  auth,
+  requireScope("courses:write"),
+  authorizeCourseLearner,
+  startQuizAttempt
+);
+
+/**
+ * @swagger
+ * /api/v1/courses/{courseId}/quizzes/{quizId}/attempts/{attemptId}/submit:
+ *   post:
+ *     summary: Submit a quiz attempt
+ *     description: Grades the answers on the server. Attempts submitted after the time limit score nothing.
+ *     tags: [Courses]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: quizId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               answers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     questionId:
+ *                       type: string
+ *                     response:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["<title>"]
+ *     responses:
+ *       200:
+ *         description: Quiz graded
+ *       400:
+ *         description: Already submitted or time limit passed
+ *       404:
+ *         description: Quiz attempt not found
+ *
+ * @route    POST api/v1/courses/:courseId/quizzes/:quizId/attempts/:attemptId/submit
+ * @desc     Submit and grade a quiz attempt
+ * @access   Private (registered learners)
+ */
+router.post(
+  "/courses/:courseId/quizzes/:quizId/attempts/:attemptId/submit",
+  auth,
+  requireScope("courses:write"),
+  authorizeCourseLearner,
+  submitQuizAttempt
+);
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getPermissions,
+  getRoles,
+  updateRolePermissions,
+  resetRolePermissions,
+} = require("../controllers/role.controller");
+const { auth } = require("../middlewares/auth.middleware");
+const { authorizeRole } = require("../middlewares/role.middleware");
+
+/**
+ * @route    GET api/v1/dashboard/permissions
+ * @desc     List every permission that can be granted to a role
+ * @access   Private (admin only)
+ */
+router.get(
+  "/dashboard/permissions",
+  auth,
+  authorizeRole("admin"),
+  getPermissions
+);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/roles:
+ *   get:
+ *     summary: Get the roles and their permissions
+ *     description: Lists every role with the permissions it currently grants and whether they are still the defaults. Admins always hold every permission.
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: Roles fetched successfully
+ *       403:
+ *         description: Access denied
+ *
+ * @route    GET api/v1/dashboard/roles
+ * @desc     Get the roles and their permissions
+ * @access   Private (admin only)
+ */
+router.get("/dashboard/roles", auth, authorizeRole("admin"), getRoles);
+
+/**
+ * @swagger
+ * /api/v1/dashboard/roles/{role}:
+ *   put:
+ *     summary: Set the permissions of a role
+ *     description: Replaces the permissions granted to every user with this role. Changes apply within a minute on every server. The admin role cannot be edited.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [user, instructor, facilitator, support, content-editor]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - permissions
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [courses:create, courses:update, courses:registrations:read]
+ *     responses:
+ *       200:
+ *         description: Role permissions updated successfully
+ *       400:
+ *         description: Role cannot be edited or invalid permissions
+ *
+ * @route    PUT api/v1/dashboard/roles/:role
+ * @desc     Set the permissions of a role
+ * @access   Private (admin only)
+ */
+router.put(
+  "/dashboard/roles/:role",
+  auth,
+  authorizeRole("admin"),
+  updateRolePermissions
+);
+
+/**
+ * @route    DELETE api/v1/dashboard/roles/:role
+ * @desc     Reset a role to its default permissions
+ * @access   Private (admin only)
+ */
+router.delete(
+  "/dashboard/roles/:role",
+  auth,
+  authorizeRole("admin"),
+  resetRolePermissions
+);
+
+module.exports = router;
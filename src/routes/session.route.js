@@ -0,0 +1,62 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getMySessions,
+  revokeMySession,
+  getUserSessionsByAdmin,
+  revokeUserSessionByAdmin,
+} = require("../controllers/session.controller");
+const { auth, blockDuringImpersonation } = require("../middlewares/auth.middleware");
+const { requirePermission } = require("../middlewares/role.middleware");
+
+/**
+ * @swagger
+ * /api/v1/dashboard/sessions:
+ *   get:
+ *     summary: Get my active sessions
+ *     description: Lists every device the user is signed in on with its IP, user agent, sign-in and last-seen times. The session making the request is flagged with `current`.
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: Sessions fetched successfully
+ *       401:
+ *         description: Access denied
+ *
+ * @route    GET api/v1/dashboard/sessions
+ * @desc     Get the signed-in user's active sessions
+ * @access   Private
+ */
+router.get("/dashboard/sessions", auth, getMySessions);
+
+/**
+ * @route    DELETE api/v1/dashboard/sessions/:sessionId
+ * @desc     Sign out one device
+ * @access   Private
+ */
+router.delete("/dashboard/sessions/:sessionId", auth, blockDuringImpersonation, revokeMySession);
+
+/**
+ * @route    GET api/v1/dashboard/users/:userId/sessions
+ * @desc     Get a user's active sessions
+ * @access   Private (users:sessions:manage)
+ */
+router.get(
+  "/dashboard/users/:userId/sessions",
+  auth,
+  requirePermission("users:sessions:manage"),
+  getUserSessionsByAdmin
+);
+
+/**
+ * @route    DELETE api/v1/dashboard/users/:userId/sessions/:sessionId
+ * @desc     Revoke one of a user's sessions
+ * @access   Private (users:sessions:manage)
+ */
+router.delete(
+  "/dashboard/users/:userId/sessions/:sessionId",
+  auth,
+  requirePermission("users:sessions:manage"),
+  revokeUserSessionByAdmin
+);
+
+module.exports = router;
@@ -9,9 +9,12 @@ const {
   updateUserProfileByAdmin,
   getUserProfileByAdmin,
   getAllUsersProfile,
+  updateUserRole,
+  getUserLockout,
+  clearUserLockout,
 } = require("../controllers/user.controller");
-const { auth } = require("../middlewares/auth.middleware");
-const { authorizeRole } = require("../middlewares/role.middleware");
+const { auth, blockDuringImpersonation } = require("../middlewares/auth.middleware");
+const { authorizeRole, requirePermission, requireScope } = require("../middlewares/role.middleware");
 const { upload } = require("../middlewares/multer.middleware");
 
 /**
@@ -58,7 +61,7 @@ const { upload } = require("../middlewares/multer.middleware");
  * email: example.com
  * userImage: https://example.com/user-image.jpg
  */
-router.get("/dashboard/profile", auth, getUserProfile);
+router.get("/dashboard/profile", auth, requireScope("users:read"), getUserProfile);
 
 /**
  * @route    PUT api/v1/dashboard/profile
@@ -130,6 +133,7 @@ router.get("/dashboard/profile", auth, getUserProfile);
 router.put(
   "/dashboard/profile",
   auth,
+  blockDuringImpersonation,
   upload.single("userImage"),
   updateUserProfile
 );
@@ -170,6 +174,7 @@ router.put(
 router.delete(
   "/dashboard/profile",
   auth,
+  blockDuringImpersonation,
   authorizeRole("admin"),
   deleteUserProfile
 );
@@ -224,7 +229,7 @@ router.delete(
  * role: user
  *
  */
-router.get("/dashboard/users", auth, authorizeRole("admin"), getAllUsers);
+router.get("/dashboard/users", auth, requirePermission("users:read", "users:read"), getAllUsers);
 
 /**
  * @route   GET api/v1/dashboard/users/profile
@@ -241,7 +246,7 @@ router.get("/dashboard/users/profile", getAllUsersProfile);
 router.delete(
   "/dashboard/users/:userId",
   auth,
-  authorizeRole("admin"),
+  requirePermission("users:delete", "users:write"),
   deleteUserProfileByAdmin
 );
 
@@ -253,11 +258,47 @@ router.delete(
 router.put(
   "/dashboard/users/:userId",
   auth,
-  authorizeRole("admin"),
+  requirePermission("users:update", "users:write"),
   upload.single("userImage"),
   updateUserProfileByAdmin
 );
 
+/**
+ * @route     PUT api/v1/dashboard/users/:userId/role
+ * @desc      Change a user's role (audited)
+ * @access    Private (admin only)
+ */
+router.put(
+  "/dashboard/users/:userId/role",
+  auth,
+  authorizeRole("admin"),
+  updateUserRole
+);
+
+/**
+ * @route     GET api/v1/dashboard/users/:userId/lockout
+ * @desc      Get a user's failed sign-in attempts and lockout
+ * @access    Private (users:read)
+ */
+router.get(
+  "/dashboard/users/:userId/lockout",
+  auth,
+  requirePermission("users:read"),
+  getUserLockout
+);
+
+/**
+ * @route     DELETE api/v1/dashboard/users/:userId/lockout
+ * @desc      Clear a user's lockout and failed sign-in attempts
+ * @access    Private (users:unlock)
+ */
+router.delete(
+  "/dashboard/users/:userId/lockout",
+  auth,
+  requirePermission("users:unlock"),
+  clearUserLockout
+);
+
 /**
  * @route     GET api/v1/dashboard/users/:userId
  * @desc      Get user profile by admin
@@ -266,7 +307,7 @@ router.put(
 router.get(
   "/dashboard/users/:userId",
   auth,
-  authorizeRole("admin"),
+  requirePermission("users:read", "users:read"),
   getUserProfileByAdmin
 );
 
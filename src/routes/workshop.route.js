@@ -1,7 +1,8 @@
 const express = require("express");
 const router = express.Router();
-const { auth } = require("../middlewares/auth.middleware");
-const { authorizeRole } = require("../middlewares/role.middleware");
+const { auth, blockDuringImpersonation } = require("../middlewares/auth.middleware");
+const { requirePermission, requireScope } = require("../middlewares/role.middleware");
+const { requireVerifiedEmail } = require("../middlewares/verification.middleware");
 const {
   getUpcomingWorkshops,
   getPreviousWorkshops,
@@ -13,6 +14,7 @@ const {
   updateWorkshopResources,
   deleteWorkshop,
   getWorkshopAttendees,
+  markWorkshopAttendance,
   unregisterFromWorkshop,
   updateWorkshop,
   getRegisteredWorkshops,
@@ -124,16 +126,35 @@ const { upload } = require("../middlewares/multer.middleware");
  *                      location:
  *                        type: string
  *                        example: "Adenta, Accra"
+ *                      capacity:
+ *                        type: integer
+ *                        nullable: true
+ *                        example: 30
+ *                      seatsLeft:
+ *                        type: integer
+ *                        nullable: true
+ *                        description: Empty when the workshop has no capacity limit
+ *                        example: 4
+ *                      waitlistCount:
+ *                        type: integer
+ *                        example: 0
  *                      resource:
  *                        type: array
  *                        items:
  *                          type: string
  *                          example: "https://example.com/resource.pdf"
- *                      attendees:
- *                        type: array
- *                        items:
- *                          type: string
- *                          example: ["1234567890abcdef12345678", "1234567890abcdef12345679", "1234567890abcdef12345680"]
+ *                      attendeeCount:
+ *                        type: integer
+ *                        example: 26
+ *                      attendedCount:
+ *                        type: integer
+ *                        example: 0
+ *                      isRegistered:
+ *                        type: boolean
+ *                        description: Whether the signed-in caller is registered, false for anonymous callers
+ *                      hasAttended:
+ *                        type: boolean
+ *                        description: Whether the signed-in caller's attendance was marked
  */
 
 /**
@@ -245,22 +266,41 @@ router.get("/workshops/upcoming", getUpcomingWorkshops);
  *                      location:
  *                        type: string
  *                        example: "Adenta, Accra"
+ *                      capacity:
+ *                        type: integer
+ *                        nullable: true
+ *                        example: 30
+ *                      seatsLeft:
+ *                        type: integer
+ *                        nullable: true
+ *                        description: Empty when the workshop has no capacity limit
+ *                        example: 4
+ *                      waitlistCount:
+ *                        type: integer
+ *                        example: 0
  *                      resource:
  *                        type: array
  *                        items:
  *                          type: string
  *                          example: "https://example.com/resource.pdf"
- *                      attendees:
- *                        type: array
- *                        items:
- *                          type: string
- *                          example: ["1234567890abcdef12345678", "1234567890abcdef12345679", "1234567890abcdef12345680"]
+ *                      attendeeCount:
+ *                        type: integer
+ *                        example: 26
+ *                      attendedCount:
+ *                        type: integer
+ *                        example: 0
+ *                      isRegistered:
+ *                        type: boolean
+ *                        description: Whether the signed-in caller is registered, false for anonymous callers
+ *                      hasAttended:
+ *                        type: boolean
+ *                        description: Whether the signed-in caller's attendance was marked
  *
  * @route     GET api/workshops/previous
  * @desc       Get all previous workshops
  * @access     Public
  */
-router.get("/workshops/previous", auth, getPreviousWorkshops);
+router.get("/workshops/previous", auth, requireScope("workshops:read"), getPreviousWorkshops);
 
 /**
  * @route    GET api/workshops/registeredWorkshops
@@ -270,7 +310,7 @@ router.get("/workshops/previous", auth, getPreviousWorkshops);
 router.get(
   "/workshops/registeredWorkshops",
   auth,
-  authorizeRole("admin"),
+  requirePermission("workshops:attendees:read", "workshops:read"),
   getRegisteredWorkshops
 );
 
@@ -282,7 +322,7 @@ router.get(
 router.get(
   "/workshops/public/attendees",
   auth,
-  authorizeRole("admin"),
+  requirePermission("workshops:attendees:read", "workshops:read"),
   getRegisteredSharedWorkshops
 );
 
@@ -392,7 +432,12 @@ router.get("/workshops/:workshopId", getWorkshopById);
  * @access     Private
  */
 
-router.post("/workshops/:workshopId/register", auth, registerForWorkshop);
+router.post(
+  "/workshops/:workshopId/register",
+  auth,
+  requireVerifiedEmail,
+  registerForWorkshop
+);
 router.post("/admin/workshops/:shareId/register", registerSharedWorkshop);
 
 /**
@@ -440,6 +485,9 @@ router.post("/admin/workshops/:shareId/register", registerSharedWorkshop);
  *       location:
  *      type: string
  *     example: "Adenta, Accra"
+ *       capacity:
+ *      type: integer
+ *     example: 30
  *      resource:
  *      type: array
  *     items:
@@ -539,7 +587,7 @@ router.post("/admin/workshops/:shareId/register", registerSharedWorkshop);
 router.post(
   "/workshops",
   auth,
-  authorizeRole("admin"),
+  requirePermission("workshops:create", "workshops:write"),
   upload.single("workshopImage"),
   createWorkshop
 );
@@ -547,7 +595,7 @@ router.post(
 router.patch(
   "/workshops/:workshopId",
   auth,
-  authorizeRole("admin"),
+  requirePermission("workshops:update", "workshops:write"),
   upload.array("resource", 5),
   updateWorkshopResources
 );
@@ -632,7 +680,7 @@ router.patch(
 router.delete(
   "/workshops/:workshopId",
   auth,
-  authorizeRole("admin"),
+  requirePermission("workshops:delete", "workshops:write"),
   deleteWorkshop
 );
 
@@ -649,7 +697,7 @@ router.delete(
 router.put(
   "/workshops/:workshopId",
   auth,
-  authorizeRole("admin"),
+  requirePermission("workshops:update", "workshops:write"),
   upload.single("workshopImage"),
   updateWorkshop
 );
@@ -693,16 +741,64 @@ router.put(
 router.get(
   "/workshops/:workshopId/attendees",
   auth,
-  authorizeRole("admin"),
+  requirePermission("workshops:attendees:read", "workshops:read"),
   getWorkshopAttendees
 );
 
+/**
+ * @swagger
+ * /api/v1/workshops/{workshopId}/attendance:
+ *   put:
+ *     summary: Mark workshop attendance
+ *     description: Marks registered attendees as present or absent. Present attendees who qualify are issued a certificate of attendance.
+ *     tags: ["Workshops"]
+ *     parameters:
+ *       - in: path
+ *         name: workshopId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userIds
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               attended:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Workshop attendance updated successfully
+ *       400:
+ *         description: Missing user IDs or some users are not registered
+ *       404:
+ *         description: Workshop not found
+ *
+ * @route    PUT api/v1/workshops/{workshopId}/attendance
+ * @desc     Mark who attended a workshop
+ * @access   Private (workshops:attendance:mark)
+ */
+router.put(
+  "/workshops/:workshopId/attendance",
+  auth,
+  requirePermission("workshops:attendance:mark", "workshops:write"),
+  markWorkshopAttendance
+);
+
 /**
  * @route    Post api/workshops/{workshopId}/unregister
- * @desc     Unregister from a workshop
+ * @desc     Unregister from a workshop, or leave its waitlist. A freed seat goes to the next person on the waitlist.
  * @access   Private
  */
-router.post("/workshops/:workshopId/unregister", auth, unregisterFromWorkshop);
+router.post("/workshops/:workshopId/unregister", auth, blockDuringImpersonation, unregisterFromWorkshop);
 
 /**
  * @swagger
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const SigningKey = require('../models/signingKey.model');
+const { rotateSigningKey } = require('../utils/signingKeys');
+const authConfig = require('../../config/auth');
+
+// Usage: npm run keys:rotate -- [--algorithm=RS256|ES256] [--activate-in=<minutes>]
+// The new key is published in the JWKS straight away and starts signing after --activate-in minutes,
+// which gives services that cache our JWKS time to pick it up. The previous key keeps verifying until
+// the tokens it signed have expired.
+const parseArgs = (args) => Object.fromEntries(
+  args
+    .filter((arg) => arg.startsWith('--'))
+    .map((arg) => {
+      const [name, value] = arg.slice(2).split('=');
+      return [name, value];
+    })
+);
+
+const rotateKeys = async () => {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const algorithm = args.algorithm || authConfig.jwtAlgorithm;
+    const activateInMinutes = parseInt(args['activate-in'], 10) || 0;
+
+    await mongoose.connect(process.env.DB_URI);
+    const signingKey = await rotateSigningKey({ algorithm, activateInMinutes });
+    console.log(`✅ Created ${signingKey.algorithm} key ${signingKey.kid}, signing from ${signingKey.activatesAt.toISOString()}`);
+
+    const keys = await SigningKey.find().sort({ activatesAt: -1 });
+    keys.forEach((key) => {
+      const expiry = key.expiresAt ? `expires ${key.expiresAt.toISOString()}` : 'current';
+      console.log(`   ${key.kid} ${key.algorithm} ${expiry}`);
+    });
+    await mongoose.disconnect();
+    process.exit();
+  } catch (error) {
+    console.error("❌ Key rotation error:", error);
+    process.exit(1);
+  }
+}
+
+rotateKeys();
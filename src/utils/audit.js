@@ -0,0 +1,14 @@
+const AuditLog = require('../models/auditLog.model');
+
+// Record a privileged action performed by the current user
+exports.recordAudit = async (req, { action, actor, target, targetModel, metadata }) => {
+  return AuditLog.create({
+    actor: actor || req.user?.userId,
+    action,
+    target,
+    targetModel,
+    metadata,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+}
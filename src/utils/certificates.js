@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const Certificate = require('../models/certificate.model');
+const CourseRegistration = require('../models/course.registration');
+const Assignment = require('../models/assignment.model');
+const Submission = require('../models/submission.model');
+const Notification = require('../models/notification.model');
+const certificateConfig = require('../../config/certificates');
+const { getCourseProgress } = require('./progress');
+const { getQuizResults } = require('./quizzes');
+const { approvedRegistrationFilter } = require('./enrollments');
+
+// no 0/O or 1/I, so serials can be read out and typed back reliably
+const SERIAL_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const SERIAL_LENGTH = 10;
+
+const generateSerial = async () => {
+  for (;;) {
+    const random = [...crypto.randomBytes(SERIAL_LENGTH)]
+      .map((byte) => SERIAL_ALPHABET[byte % SERIAL_ALPHABET.length])
+      .join('');
+    const serial = `${certificateConfig.serialPrefix}-${random}`;
+    if (!(await Certificate.exists({ serial }))) {
+      return serial;
+    }
+  }
+}
+
+const includesUser = (ids, userId) => ids.some((id) => id.toString() === userId.toString());
+
+// Why the learner does not qualify for the course's certificate yet, or null when they do
+exports.courseCertificateBlocker = async (userId, course) => {
+  const rules = certificateConfig.course;
+  if (!rules.enabled) {
+    return "Course certificates are not available!";
+  }
+  if (!(await CourseRegistration.exists({ course: course._id, enrolledUser: userId, ...approvedRegistrationFilter }))) {
+    return "You are not registered for this course!";
+  }
+  const progress = (await getCourseProgress([course._id], [userId]))(userId, course._id);
+  if (progress.totalLessons === 0 || progress.completionPercentage < rules.minCompletionPercentage) {
+    return `Complete at least ${rules.minCompletionPercentage}% of the lessons first!`;
+  }
+  if (rules.requirePassedQuizzes) {
+    const quizResults = (await getQuizResults(course._id, [userId]))(userId);
+    if (quizResults.some((result) => !result.passed)) {
+      return "Pass every quiz in this course first!";
+    }
+  }
+  if (rules.requireGradedAssignments) {
+    const assignmentIds = await Assignment.find({ course: course._id, published: true }).distinct('_id');
+    const graded = await Submission.countDocuments({
+      assignment: { $in: assignmentIds },
+      user: userId,
+      status: 'graded'
+    });
+    if (graded < assignmentIds.length) {
+      return "Every assignment must be submitted and graded first!";
+    }
+  }
+  return null;
+}
+
+// Why the attendee does not qualify for the workshop's certificate yet, or null when they do
+exports.workshopCertificateBlocker = async (userId, workshop) => {
+  const rules = certificateConfig.workshop;
+  if (!rules.enabled) {
+    return "Workshop certificates are not available!";
+  }
+  if (rules.requireMarkedAttendance) {
+    return includesUser(workshop.attendedBy, userId)
+      ? null
+      : "Your attendance has not been marked for this workshop!";
+  }
+  if (!includesUser(workshop.attendees, userId)) {
+    return "You are not registered for this workshop!";
+  }
+  if (workshop.date > new Date()) {
+    return "This workshop has not taken place yet!";
+  }
+  return null;
+}
+
+// Issue a certificate for a course or a workshop and notify the learner. Returns the certificate
+// already issued instead, which may be revoked; revoked certificates are not issued again.
+exports.issueCertificate = async (user, { course = null, workshop = null }) => {
+  const kind = course ? 'course' : 'workshop';
+  const subject = course || workshop;
+  const holder = {
+    user: user._id,
+    kind,
+    course: course?._id || null,
+    workshop: workshop?._id || null
+  };
+  const existing = await Certificate.findOne(holder);
+  if (existing) {
+    return { certificate: existing, created: false };
+  }
+
+  let certificate;
+  try {
+    certificate = await Certificate.create({
+      ...holder,
+      serial: await generateSerial(),
+      recipientName: `${user.firstName} ${user.lastName}`,
+      title: subject.title
+    });
+  } catch (error) {
+    // issued by a request that ran at the same time
+    const issued = error.code === 11000 && (await Certificate.findOne(holder));
+    if (issued) {
+      return { certificate: issued, created: false };
+    }
+    throw error;
+  }
+  await Notification.create({
+    userId: user._id,
+    type: kind,
+    message: `${user.firstName} earned a certificate for the ${subject.title} ${kind}.`,
+    userMessage: `Your certificate for the ${subject.title} ${kind} is ready. Serial number: ${certificate.serial}.`,
+    organization: subject.organization || null
+  });
+  return { certificate, created: true };
+}
+
+// Draw the certificate as an A4 landscape PDF into a writable stream
+exports.renderCertificatePdf = (certificate, stream, { verifyUrl }) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margin: 60,
+    info: {
+      Title: `${certificate.title} certificate - ${certificate.recipientName}`,
+      Author: certificateConfig.issuerName
+    }
+  });
+  doc.pipe(stream);
+
+  const { width, height } = doc.page;
+  doc.lineWidth(3).strokeColor('#1f3a5f').rect(25, 25, width - 50, height - 50).stroke();
+  doc.lineWidth(1).rect(35, 35, width - 70, height - 70).stroke();
+
+  const isCourse = certificate.kind === 'course';
+  doc.moveDown(2)
+    .fillColor('#1f3a5f').font('Helvetica-Bold').fontSize(34)
+    .text(isCourse ? 'Certificate of Completion' : 'Certificate of Attendance', { align: 'center' })
+    .moveDown(1.2)
+    .fillColor('#333333').font('Helvetica').fontSize(16)
+    .text('This certifies that', { align: 'center' })
+    .moveDown(0.6)
+    .fillColor('#000000').font('Helvetica-Bold').fontSize(30)
+    .text(certificate.recipientName, { align: 'center' })
+    .moveDown(0.6)
+    .fillColor('#333333').font('Helvetica').fontSize(16)
+    .text(isCourse ? 'has successfully completed the course' : 'attended the workshop', { align: 'center' })
+    .moveDown(0.6)
+    .fillColor('#1f3a5f').font('Helvetica-Bold').fontSize(22)
+    .text(certificate.title, { align: 'center' })
+    .moveDown(1.2)
+    .fillColor('#333333').font('Helvetica').fontSize(13)
+    .text(`Issued by ${certificateConfig.issuerName} on ${certificate.issuedAt.toDateString()}`, { align: 'center' });
+
+  doc.fontSize(10).fillColor('#666666')
+    .text(`Serial number: ${certificate.serial}`, 60, height - 95, { align: 'center', width: width - 120 })
+    .text(`Verify this certificate at ${verifyUrl}`, { align: 'center', width: width - 120 });
+
+  doc.end();
+}
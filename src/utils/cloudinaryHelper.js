@@ -1,16 +1,25 @@
 const cloudinary = require('../../config/cloudinary');
 
-exports.deleteFromCloudinary = async (publicId) => {
+exports.deleteFromCloudinary = async (publicId, resourceType = 'image') => {
   if (!publicId) return;
   try { 
-    await  cloudinary.uploader.destroy(publicId);
+    const result = await  cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
     console.log(`Successfully deleted image with public ID: ${publicId}`);
+    return result;
   } catch (error) {
     console.error("Error deleting image from Cloudinary:", error);
     throw new Error("Failed to delete image from Cloudinary");
   }
 }
 
+// Lesson files are stored as raw files, the ones uploaded before that went through the image storage
+exports.deleteDocumentFromCloudinary = async (publicId) => {
+  const result = await exports.deleteFromCloudinary(publicId, 'raw');
+  if (result?.result === 'not found') {
+    await exports.deleteFromCloudinary(publicId);
+  }
+}
+
 exports.uploadToCloudinary = async (filePath) => {
   if (!filePath) return;
   try {
@@ -0,0 +1,77 @@
+const Cohort = require('../models/cohort.model');
+
+// Cohorts that still take enrollments, the seat count is checked when the seat is reserved
+const openCohortFilter = () => ({ enrollmentDeadline: { $gte: new Date() } });
+
+// A seat is free when the cohort has no capacity or fewer enrollments than its capacity
+const seatAvailable = (seats) => ({
+  $or: [
+    { capacity: null },
+    { $expr: { $lte: [{ $add: ['$enrolledCount', seats] }, '$capacity'] } }
+  ]
+});
+
+exports.seatsLeft = (cohort) =>
+  cohort.capacity === null || cohort.capacity === undefined
+    ? null
+    : Math.max(cohort.capacity - cohort.enrolledCount, 0);
+
+exports.isCohortOpen = (cohort) =>
+  cohort.enrollmentDeadline >= new Date() && exports.seatsLeft(cohort) !== 0;
+
+// Cohort fields shown to learners picking an intake
+exports.toCohortSummary = (cohort) => ({
+  _id: cohort._id,
+  name: cohort.name,
+  startDate: cohort.startDate,
+  endDate: cohort.endDate,
+  enrollmentDeadline: cohort.enrollmentDeadline,
+  capacity: cohort.capacity,
+  seatsLeft: exports.seatsLeft(cohort),
+  isOpen: exports.isCohortOpen(cohort)
+});
+
+// Take `seats` seats in a cohort of the course. Returns the updated cohort, or null when it is full
+// or, unless `ignoreDeadline` is set, closed for enrollment.
+exports.reserveCohortSeats = (courseId, cohortId, { seats = 1, ignoreDeadline = false } = {}) =>
+  Cohort.findOneAndUpdate(
+    {
+      _id: cohortId,
+      course: courseId,
+      ...(ignoreDeadline ? {} : openCohortFilter()),
+      ...seatAvailable(seats)
+    },
+    { $inc: { enrolledCount: seats } },
+    { new: true }
+  );
+
+exports.releaseCohortSeats = async (cohortId, seats = 1) => {
+  if (cohortId && seats > 0) {
+    await Cohort.updateOne({ _id: cohortId }, { $inc: { enrolledCount: -seats } });
+  }
+};
+
+// Reserve a seat in the earliest open cohort of the course that has one left, or return null
+exports.reserveNextOpenCohortSeat = async (courseId) => {
+  const cohorts = await Cohort.find({ course: courseId, ...openCohortFilter() }).sort({ startDate: 1 });
+  for (const cohort of cohorts) {
+    const reserved = await exports.reserveCohortSeats(courseId, cohort._id);
+    if (reserved) {
+      return reserved;
+    }
+  }
+  return null;
+};
+
+// Next open cohort of each course, as a lookup `(courseId) => summary | null`
+exports.getNextOpenCohorts = async (courseIds) => {
+  const cohorts = await Cohort.find({ course: { $in: courseIds }, ...openCohortFilter() }).sort({ startDate: 1 });
+  const nextCohorts = new Map();
+  for (const cohort of cohorts) {
+    const courseId = cohort.course.toString();
+    if (!nextCohorts.has(courseId) && exports.isCohortOpen(cohort)) {
+      nextCohorts.set(courseId, exports.toCohortSummary(cohort));
+    }
+  }
+  return (courseId) => nextCohorts.get(courseId.toString()) || null;
+};
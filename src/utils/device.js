@@ -0,0 +1,30 @@
+// Turn a user agent into a short label like "Chrome on Windows" for the sessions list
+const browsers = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Safari', /Safari\//],
+];
+
+const platforms = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/],
+];
+
+exports.describeDevice = (userAgent = '') => {
+  if (!userAgent) {
+    return "Unknown device";
+  }
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const platform = platforms.find(([, pattern]) => pattern.test(userAgent));
+  if (!browser && !platform) {
+    // API clients such as curl/8.4.0 or PostmanRuntime/7.36.0
+    return userAgent.split(' ')[0].slice(0, 60);
+  }
+  return [browser?.[0], platform?.[0]].filter(Boolean).join(' on ');
+}
@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+const { sendMail } = require('./email.transport');
+const { hashToken } = require('./token');
+const authConfig = require('../../config/auth');
+
+// generate an email verification token for the user and email them the link
+exports.sendVerificationEmail = async (user) => {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  user.emailVerificationToken = hashToken(verificationToken);
+  user.emailVerificationTokenExpiry = Date.now() + authConfig.emailVerificationTtlHours * 60 * 60 * 1000;
+  await user.save();
+
+  const verificationLink = `${process.env.FRONTEND_URL}/verify-email/${verificationToken}`;
+  await sendMail({
+    email: user.email,
+    subject: "Verify Your Email Address",
+    html: `
+      <h2>Welcome to SkillitGH, ${user.firstName}!</h2>
+      <p>Please confirm your email address by clicking the link below. This link will expire in ${authConfig.emailVerificationTtlHours} hours.</p>
+      <a href="${verificationLink}" style="text-decoration: none;">
+        <button style="background-color: #4CAF50; color: white; padding: 10px 20px; border: none; border-radius: 5px; cursor: pointer;">
+          Verify Email
+        </button>
+      </a>
+      <p>If you did not create an account, please ignore this email.</p>
+    `,
+  });
+}
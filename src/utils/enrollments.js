@@ -0,0 +1,20 @@
+const Course = require('../models/course.model');
+const User = require('../models/user.model');
+
+// Registrations made before applications were reviewed have no status and count as approved
+exports.approvedRegistrationFilter = { status: { $nin: ['pending', 'rejected', 'withdrawn'] } };
+
+// Registrations that are approved or still awaiting a decision
+exports.activeRegistrationFilter = { status: { $nin: ['rejected', 'withdrawn'] } };
+
+// Give the learner of an approved registration the course
+exports.enrollLearner = async (userId, courseId) => {
+  await User.updateOne({ _id: userId }, { $addToSet: { courses: courseId }, hasChosenPath: true });
+  await Course.updateOne({ _id: courseId }, { $addToSet: { registeredUsers: userId } });
+};
+
+// Take the course away again when the registration is withdrawn
+exports.unenrollLearner = async (userId, courseId) => {
+  await User.updateOne({ _id: userId }, { $pull: { courses: courseId } });
+  await Course.updateOne({ _id: courseId }, { $pull: { registeredUsers: userId } });
+};
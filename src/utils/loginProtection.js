@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const User = require('../models/user.model');
+const LoginAttempt = require('../models/loginAttempt.model');
+const { sendMail } = require('./email.transport');
+const { hashToken } = require('./token');
+const authConfig = require('../../config/auth');
+
+// Seconds the IP has to wait before signing in again, 0 if it is not blocked
+exports.getIpRetryAfter = async (ip) => {
+  const attempt = await LoginAttempt.findOne({ ip, expiresAt: { $gt: Date.now() } });
+  if (!attempt || attempt.count < authConfig.maxFailedLoginsPerIp) {
+    return 0;
+  }
+  return Math.ceil((attempt.expiresAt - Date.now()) / 1000);
+}
+
+exports.recordIpFailure = async (ip) => {
+  // the TTL monitor only runs every minute, so drop an expired window ourselves
+  await LoginAttempt.deleteOne({ ip, expiresAt: { $lte: Date.now() } });
+  await LoginAttempt.findOneAndUpdate(
+    { ip },
+    {
+      $inc: { count: 1 },
+      $setOnInsert: { expiresAt: Date.now() + authConfig.ipLoginWindowMinutes * 60 * 1000 }
+    },
+    { upsert: true }
+  );
+}
+
+// Returns { locked, retryAfter } for the account. After `loginDelayAfter` failures every attempt has to wait
+// twice as long as the previous one, capped at `loginMaxDelaySeconds`.
+exports.getAccountThrottle = (user) => {
+  if (user.lockUntil && user.lockUntil > Date.now()) {
+    return { locked: true, retryAfter: Math.ceil((user.lockUntil - Date.now()) / 1000) };
+  }
+  const extraFailures = user.failedLoginAttempts - authConfig.loginDelayAfter;
+  if (extraFailures < 0 || !user.lastFailedLoginAt) {
+    return { locked: false, retryAfter: 0 };
+  }
+  const delaySeconds = Math.min(2 ** extraFailures, authConfig.loginMaxDelaySeconds);
+  const retryAt = user.lastFailedLoginAt.getTime() + delaySeconds * 1000;
+  return { locked: false, retryAfter: Math.max(0, Math.ceil((retryAt - Date.now()) / 1000)) };
+}
+
+const sendUnlockEmail = async (user) => {
+  const unlockToken = crypto.randomBytes(32).toString('hex');
+  await User.updateOne(
+    { _id: user._id },
+    { unlockToken: hashToken(unlockToken), unlockTokenExpiry: user.lockUntil }
+  );
+
+  const unlockLink = `${process.env.FRONTEND_URL}/unlock-account/${unlockToken}`;
+  await sendMail({
+    email: user.email,
+    subject: "Your Account Has Been Locked",
+    html: `
+      <h2>Too many failed sign-in attempts</h2>
+      <p>We locked your account for ${authConfig.lockoutMinutes} minutes after several failed sign-in attempts. If this was you, click the link below to unlock it now.</p>
+      <a href="${unlockLink}" style="text-decoration: none;">
+        <button style="background-color: #4CAF50; color: white; padding: 10px 20px; border: none; border-radius: 5px; cursor: pointer;">
+          Unlock Account
+        </button>
+      </a>
+      <p>If this was not you, someone may be trying to guess your password. Consider resetting it.</p>
+    `,
+  });
+}
+
+// Count a failed password for the account and lock it once the limit is reached
+exports.recordAccountFailure = async (user) => {
+  const updatedUser = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: Date.now() },
+    { new: true }
+  );
+  if (updatedUser.failedLoginAttempts < authConfig.maxFailedLogins) {
+    return updatedUser;
+  }
+  updatedUser.lockUntil = Date.now() + authConfig.lockoutMinutes * 60 * 1000;
+  updatedUser.failedLoginAttempts = 0;
+  await updatedUser.save();
+  try {
+    await sendUnlockEmail(updatedUser);
+  } catch (err) {
+    console.error("Error in sending unlock email: ", err);
+  }
+  return updatedUser;
+}
+
+exports.clearAccountLockout = async (userId) => {
+  return User.findByIdAndUpdate(
+    userId,
+    {
+      failedLoginAttempts: 0,
+      lastFailedLoginAt: null,
+      lockUntil: null,
+      unlockToken: null,
+      unlockTokenExpiry: null
+    },
+    { new: true }
+  );
+}
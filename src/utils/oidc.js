@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Minimal OpenID Connect relying party: discovery, PKCE authorization code flow and ID token validation
+const CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+exports.randomToken = () => base64url(crypto.randomBytes(32));
+
+exports.createPkcePair = () => {
+  const codeVerifier = exports.randomToken();
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+}
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`OIDC request to ${url} failed with ${response.status}: ${body.error_description || body.error || response.statusText}`);
+  }
+  return body;
+}
+
+exports.discover = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && cached.fetchedAt > Date.now() - CACHE_TTL) {
+    return cached.metadata;
+  }
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  discoveryCache.set(provider.issuer, { metadata, fetchedAt: Date.now() });
+  return metadata;
+}
+
+const getSigningKey = async (jwksUri, kid) => {
+  let cached = jwksCache.get(jwksUri);
+  // refetch when the provider has rotated to a key we have not seen yet
+  if (!cached || cached.fetchedAt < Date.now() - CACHE_TTL || !cached.keys.some((key) => key.kid === kid)) {
+    const { keys } = await fetchJson(jwksUri);
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(jwksUri, cached);
+  }
+  const jwk = cached.keys.find((key) => key.kid === kid) || (cached.keys.length === 1 && !kid ? cached.keys[0] : null);
+  if (!jwk) {
+    throw new Error(`No signing key found for kid ${kid}`);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+exports.buildAuthorizationUrl = async (provider, { state, nonce, codeChallenge }) => {
+  const { authorization_endpoint } = await exports.discover(provider);
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  });
+  return `${authorization_endpoint}?${params.toString()}`;
+}
+
+exports.exchangeCode = async (provider, { code, codeVerifier }) => {
+  const { token_endpoint } = await exports.discover(provider);
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: provider.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (provider.clientSecret) {
+    params.set('client_secret', provider.clientSecret);
+  }
+  return fetchJson(token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: params.toString(),
+  });
+}
+
+// Verify the ID token signature against the provider's JWKS and check issuer, audience, expiry and nonce
+exports.verifyIdToken = async (provider, idToken, { nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error("Malformed ID token");
+  }
+  const { jwks_uri, issuer } = await exports.discover(provider);
+  const publicKey = await getSigningKey(jwks_uri, decoded.header.kid);
+  const claims = jwt.verify(idToken, publicKey, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+    issuer: [issuer || provider.issuer, ...provider.extraIssuers],
+    audience: provider.clientId,
+  });
+  if (claims.nonce !== nonce) {
+    throw new Error("ID token nonce mismatch");
+  }
+  return claims;
+}
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/organization.model');
+const { hasPermissions } = require('./permissions');
+
+// Users with `organizations:manage` see and manage every organization
+exports.canManageAllOrganizations = (user) => hasPermissions(user.role, ['organizations:manage']);
+
+exports.getMemberOrganizationIds = (userId) => Organization.find({ 'members.user': userId }).distinct('_id');
+
+exports.getAdminOrganizationIds = (userId) => {
+  return Organization.find({ members: { $elemMatch: { user: userId, role: 'admin' } } }).distinct('_id');
+}
+
+exports.isOrganizationMember = async (organizationId, userId) => {
+  return !!(await Organization.exists({ _id: organizationId, 'members.user': userId }));
+}
+
+exports.isOrganizationAdmin = async (organizationId, userId) => {
+  return !!(await Organization.exists({
+    _id: organizationId,
+    members: { $elemMatch: { user: userId, role: 'admin' } }
+  }));
+}
+
+// Courses and workshops without an organization form the public catalogue
+exports.publicContentFilter = { organization: null };
+
+// Filter for the courses and workshops a user can see: the public catalogue plus their organizations' content
+exports.visibleContentFilter = async (user) => {
+  if (await exports.canManageAllOrganizations(user)) {
+    return {};
+  }
+  const organizationIds = await exports.getMemberOrganizationIds(user.userId);
+  return { organization: { $in: [null, ...organizationIds] } };
+}
+
+exports.canAccessOrganizationContent = async (user, organizationId) => {
+  if (!organizationId || await exports.canManageAllOrganizations(user)) {
+    return true;
+  }
+  return exports.isOrganizationMember(organizationId, user.userId);
+}
+
+// Form fields arrive as strings, an empty value moves the content back to the public catalogue
+exports.parseOrganizationId = (value) => (value && value !== 'null' ? value : null);
+
+// Why the user may not move a course or workshop from one organization to another (null being the public
+// catalogue), or null when they may. Org-admins can only move content in and out of organizations they run.
+exports.organizationAssignmentError = async (user, from, to) => {
+  if (String(from || '') === String(to || '')) {
+    return null;
+  }
+  if (to && !mongoose.isValidObjectId(to)) {
+    return { status: 400, message: "Invalid organization ID!" };
+  }
+  if (to && !(await Organization.exists({ _id: to }))) {
+    return { status: 404, message: "Organization not found!" };
+  }
+  if (await exports.canManageAllOrganizations(user)) {
+    return null;
+  }
+  for (const organizationId of [from, to]) {
+    if (organizationId && !(await exports.isOrganizationAdmin(organizationId, user.userId))) {
+      return { status: 403, message: "Access denied. You can only use organizations you administer." };
+    }
+  }
+  return null;
+}
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const bcrypt = require('bcrypt');
+const { passwordPolicy } = require('../../config/auth');
+
+let blocklist;
+
+// lazily load the bundled list of common and breached passwords
+const getBlocklist = () => {
+  if (!blocklist) {
+    blocklist = new Set(
+      fs.readFileSync(passwordPolicy.blocklistFile, 'utf8')
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'))
+    );
+  }
+  return blocklist;
+}
+
+// "Password123!" is as weak as "password"
+const isCommonPassword = (password) => {
+  const lowerPassword = password.toLowerCase();
+  const basePassword = lowerPassword.replace(/[\d\W_]+$/, '');
+  const list = getBlocklist();
+  return list.has(lowerPassword) || (basePassword.length >= 4 && list.has(basePassword));
+}
+
+// The rules in a form the frontend can display
+exports.describePolicy = () => {
+  const { minLength, maxLength, requireUppercase, requireLowercase, requireNumber, requireSymbol, historySize } = passwordPolicy;
+  return { minLength, maxLength, requireUppercase, requireLowercase, requireNumber, requireSymbol, historySize };
+}
+
+// Returns the rules the password breaks as [{ rule, message }], empty when it is acceptable.
+// Pass the user (with +password +passwordHistory selected) to check reuse, or just their details for a new account.
+exports.validatePassword = async (password, { user, firstName, lastName, email } = {}) => {
+  const violations = [];
+  const addViolation = (rule, message) => violations.push({ rule, message });
+
+  if (typeof password !== 'string' || password.length < passwordPolicy.minLength) {
+    addViolation('minLength', `Password must be at least ${passwordPolicy.minLength} characters long.`);
+  }
+  if (typeof password !== 'string') {
+    return violations;
+  }
+  if (password.length > passwordPolicy.maxLength) {
+    addViolation('maxLength', `Password must be at most ${passwordPolicy.maxLength} characters long.`);
+  }
+  if (passwordPolicy.requireUppercase && !/[A-Z]/.test(password)) {
+    addViolation('uppercase', "Password must contain an uppercase letter.");
+  }
+  if (passwordPolicy.requireLowercase && !/[a-z]/.test(password)) {
+    addViolation('lowercase', "Password must contain a lowercase letter.");
+  }
+  if (passwordPolicy.requireNumber && !/\d/.test(password)) {
+    addViolation('number', "Password must contain a number.");
+  }
+  if (passwordPolicy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    addViolation('symbol', "Password must contain a symbol.");
+  }
+  if (isCommonPassword(password)) {
+    addViolation('common', "Password is too common or has appeared in a data breach.");
+  }
+
+  const personalDetails = [
+    user?.firstName || firstName,
+    user?.lastName || lastName,
+    (user?.email || email || '').split('@')[0],
+  ].filter((detail) => detail && detail.length >= 3);
+  if (personalDetails.some((detail) => password.toLowerCase().includes(detail.toLowerCase()))) {
+    addViolation('personal', "Password must not contain your name or email address.");
+  }
+
+  if (user && passwordPolicy.historySize > 0) {
+    const previousHashes = [user.password, ...(user.passwordHistory || [])].filter(Boolean);
+    for (const previousHash of previousHashes) {
+      if (await bcrypt.compare(password, previousHash)) {
+        addViolation('reused', `Password must not match any of your last ${passwordPolicy.historySize} passwords.`);
+        break;
+      }
+    }
+  }
+  return violations;
+}
+
+// Hash and set a new password, keeping the old hash in the history. The user needs +password +passwordHistory selected.
+exports.setPassword = async (user, password) => {
+  if (user.password) {
+    user.passwordHistory = [user.password, ...(user.passwordHistory || [])]
+      .slice(0, Math.max(passwordPolicy.historySize - 1, 0));
+  }
+  const salt = await bcrypt.genSalt(10);
+  user.password = await bcrypt.hash(password, salt);
+  return user;
+}
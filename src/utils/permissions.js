@@ -0,0 +1,36 @@
+const Role = require('../models/role.model');
+const { permissions, defaultRolePermissions } = require('../../config/permissions');
+
+// Role overrides are cached for a minute, so changes made on another instance apply within that time
+const CACHE_TTL = 60 * 1000;
+let cache = null;
+
+const loadOverrides = async () => {
+  if (cache && cache.fetchedAt > Date.now() - CACHE_TTL) {
+    return cache.overrides;
+  }
+  const overrides = await Role.find();
+  cache = {
+    overrides: Object.fromEntries(overrides.map((role) => [role.name, role.permissions])),
+    fetchedAt: Date.now(),
+  };
+  return cache.overrides;
+}
+
+exports.clearPermissionCache = () => {
+  cache = null;
+}
+
+exports.getRolePermissions = async (role) => {
+  if (role === 'admin') {
+    return Object.keys(permissions);
+  }
+  const overrides = await loadOverrides();
+  return overrides[role] || defaultRolePermissions[role] || [];
+}
+
+// True when the role grants every one of the permissions
+exports.hasPermissions = async (role, required) => {
+  const granted = await exports.getRolePermissions(role);
+  return required.every((permission) => granted.includes(permission));
+}
@@ -0,0 +1,79 @@
+const Module = require('../models/module.model');
+const Lesson = require('../models/lesson.model');
+const Progress = require('../models/progress.model');
+
+const byOrder = (a, b) => a.order - b.order || a.createdAt - b.createdAt;
+
+// The lessons of each course in study order: module by module, then lesson by lesson
+const loadCurricula = async (courseIds) => {
+  const [modules, lessons] = await Promise.all([
+    Module.find({ course: { $in: courseIds } }).select('course order createdAt'),
+    Lesson.find({ course: { $in: courseIds } }).select('course module title type order createdAt')
+  ]);
+  const moduleOrder = new Map(
+    modules.sort(byOrder).map((module, index) => [module._id.toString(), index])
+  );
+  const curricula = new Map();
+  for (const lesson of lessons.sort(byOrder)) {
+    const courseId = lesson.course.toString();
+    if (!curricula.has(courseId)) {
+      curricula.set(courseId, []);
+    }
+    curricula.get(courseId).push(lesson);
+  }
+  for (const courseLessons of curricula.values()) {
+    // sort is stable, so lessons keep their order inside each module
+    courseLessons.sort((a, b) => moduleOrder.get(a.module.toString()) - moduleOrder.get(b.module.toString()));
+  }
+  return curricula;
+}
+
+// Completion percentage and where to resume for each learner in each course.
+// Returns a lookup function: (userId, courseId) => summary
+exports.getCourseProgress = async (courseIds, userIds) => {
+  const [curricula, records] = await Promise.all([
+    loadCurricula(courseIds),
+    Progress.find({ course: { $in: courseIds }, user: { $in: userIds } })
+  ]);
+  const recordsByLearner = new Map();
+  for (const record of records) {
+    const key = `${record.user}:${record.course}`;
+    if (!recordsByLearner.has(key)) {
+      recordsByLearner.set(key, new Map());
+    }
+    recordsByLearner.get(key).set(record.lesson.toString(), record);
+  }
+
+  return (userId, courseId) => {
+    const lessons = curricula.get(courseId.toString()) || [];
+    const lessonRecords = recordsByLearner.get(`${userId}:${courseId}`) || new Map();
+    const completedLessons = lessons.filter((lesson) => lessonRecords.get(lesson._id.toString())?.completedAt).length;
+
+    // the unfinished lesson viewed last, otherwise the first one not started yet
+    const unfinished = lessons.filter((lesson) => !lessonRecords.get(lesson._id.toString())?.completedAt);
+    const lastViewed = unfinished
+      .filter((lesson) => lessonRecords.has(lesson._id.toString()))
+      .sort((a, b) => lessonRecords.get(b._id.toString()).lastViewedAt - lessonRecords.get(a._id.toString()).lastViewedAt)[0];
+    const resumeLesson = lastViewed || unfinished[0];
+    const resumeRecord = resumeLesson && lessonRecords.get(resumeLesson._id.toString());
+
+    return {
+      totalLessons: lessons.length,
+      completedLessons,
+      completionPercentage: lessons.length ? Math.round((completedLessons / lessons.length) * 100) : 0,
+      lastViewedAt: [...lessonRecords.values()].reduce(
+        (latest, record) => (!latest || record.lastViewedAt > latest ? record.lastViewedAt : latest),
+        null
+      ),
+      resume: resumeLesson
+        ? {
+            lessonId: resumeLesson._id,
+            moduleId: resumeLesson.module,
+            title: resumeLesson.title,
+            type: resumeLesson.type,
+            lastPosition: resumeRecord?.lastPosition || 0
+          }
+        : null
+    };
+  };
+}
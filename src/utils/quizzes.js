@@ -0,0 +1,121 @@
+const Quiz = require('../models/quiz.model');
+const QuizAttempt = require('../models/quizAttempt.model');
+
+// Quizzes are graded on the server, the answer key never leaves it
+
+const normalize = (value) => String(value ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const toList = (value) => (Array.isArray(value) ? value : value === undefined || value === null ? [] : [value]);
+
+// What is wrong with a question, or null when it can be graded
+exports.questionError = (question, index) => {
+  const label = `Question ${index + 1}`;
+  const options = question.options || [];
+  const correct = question.correctAnswers || [];
+  if (!question.prompt) {
+    return `${label} needs a prompt!`;
+  }
+  if (question.points !== undefined && !(Number.isFinite(question.points) && question.points > 0)) {
+    return `${label}: points must be a positive number!`;
+  }
+  if (!correct.every((answer) => question.type === 'short-answer' || options.includes(answer))) {
+    return `${label}: every correct answer must be one of the options!`;
+  }
+  switch (question.type) {
+    case 'multiple-choice':
+      if (options.length < 2 || correct.length !== 1) {
+        return `${label}: multiple-choice questions need at least two options and one correct answer!`;
+      }
+      return null;
+    case 'multi-select':
+      if (options.length < 2 || correct.length < 1) {
+        return `${label}: multi-select questions need at least two options and a correct answer!`;
+      }
+      return null;
+    case 'true-false':
+      if (correct.length !== 1) {
+        return `${label}: true/false questions need one correct answer!`;
+      }
+      return null;
+    case 'short-answer':
+      if (correct.length < 1) {
+        return `${label}: short-answer questions need at least one accepted answer!`;
+      }
+      return null;
+    default:
+      return `${label} has an invalid type!`;
+  }
+}
+
+// Fill in what each question type implies, e.g. the options of a true/false question
+exports.prepareQuestion = (question) => ({
+  type: question.type,
+  prompt: question.prompt,
+  points: question.points === undefined ? undefined : Number(question.points),
+  options: question.type === 'true-false' ? ['true', 'false'] : question.type === 'short-answer' ? [] : toList(question.options).map(String),
+  correctAnswers: toList(question.correctAnswers).map((answer) =>
+    question.type === 'true-false' ? normalize(answer) : String(answer).trim()
+  )
+});
+
+const isCorrect = (question, response) => {
+  if (question.type === 'short-answer') {
+    return response.length === 1 && question.correctAnswers.some((answer) => normalize(answer) === normalize(response[0]));
+  }
+  const given = [...new Set(response.map(normalize))].sort();
+  const expected = question.correctAnswers.map(normalize).sort();
+  return given.length === expected.length && given.every((answer, index) => answer === expected[index]);
+}
+
+// Grade submitted answers ([{ questionId, response }]) against the quiz
+exports.gradeAttempt = (quiz, submitted) => {
+  const responses = new Map(toList(submitted).map((answer) => [String(answer.questionId), toList(answer.response).map(String)]));
+  let score = 0;
+  let maxScore = 0;
+  const answers = quiz.questions.map((question) => {
+    const response = responses.get(question._id.toString()) || [];
+    const correct = isCorrect(question, response);
+    const pointsAwarded = correct ? question.points : 0;
+    score += pointsAwarded;
+    maxScore += question.points;
+    return { question: question._id, response, correct, pointsAwarded };
+  });
+  const percentage = maxScore ? Math.round((score / maxScore) * 100) : 0;
+  return { answers, score, maxScore, percentage, passed: percentage >= quiz.passMark };
+}
+
+// The quiz as learners see it while answering
+exports.toLearnerQuiz = (quiz) => {
+  const { questions, ...details } = quiz.toObject();
+  return {
+    ...details,
+    questions: questions.map(({ correctAnswers, ...question }) => question)
+  };
+}
+
+// Each learner's results for the published quizzes of a course.
+// Returns a lookup function: (userId) => [{ quizId, title, attempts, bestPercentage, passed, lastSubmittedAt }]
+exports.getQuizResults = async (courseId, userIds) => {
+  const [quizzes, attempts] = await Promise.all([
+    Quiz.find({ course: courseId, published: true }).select('title lesson passMark').sort({ createdAt: 1 }),
+    QuizAttempt.find({ course: courseId, user: { $in: userIds }, submittedAt: { $ne: null } }).select('quiz user percentage passed submittedAt')
+  ]);
+  return (userId) => quizzes.map((quiz) => {
+    const quizAttempts = attempts.filter(
+      (attempt) => attempt.quiz.toString() === quiz._id.toString() && attempt.user.toString() === userId.toString()
+    );
+    return {
+      quizId: quiz._id,
+      title: quiz.title,
+      lesson: quiz.lesson,
+      passMark: quiz.passMark,
+      attempts: quizAttempts.length,
+      bestPercentage: quizAttempts.length ? Math.max(...quizAttempts.map((attempt) => attempt.percentage)) : null,
+      passed: quizAttempts.some((attempt) => attempt.passed),
+      lastSubmittedAt: quizAttempts.reduce(
+        (latest, attempt) => (!latest || attempt.submittedAt > latest ? attempt.submittedAt : latest),
+        null
+      )
+    };
+  });
+}
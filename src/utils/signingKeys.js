@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const SigningKey = require('../models/signingKey.model');
+const authConfig = require('../../config/auth');
+
+// Key store for the asymmetric keys that sign our JWTs. Keys live in MongoDB so every instance signs with
+// the same key, and are cached in memory for a minute.
+const CACHE_TTL = 60 * 1000;
+// don't let tokens with made-up kids make us hit the database on every request
+const MIN_REFRESH_INTERVAL = 10 * 1000;
+let cache = null;
+
+// a retired key is kept until the longest-lived token it signed has expired, plus some clock skew
+const maxTokenLifetimeMs = () => (Math.max(
+  authConfig.accessTokenTtlMinutes,
+  authConfig.impersonationTtlMinutes,
+  authConfig.twoFactorChallengeTtlMinutes
+) + 5) * 60 * 1000;
+
+const encryptionKey = () => {
+  const secret = process.env.JWT_KEY_ENCRYPTION_SECRET || process.env.PRIVATE_KEY;
+  if (!secret) {
+    throw new Error("JWT_KEY_ENCRYPTION_SECRET must be set to store signing keys");
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+const encryptPrivateKey = (pem) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64url')).join('.');
+}
+
+const decryptPrivateKey = (encrypted) => {
+  const [iv, authTag, ciphertext] = encrypted.split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+// RFC 7638 thumbprint, so the kid is derived from the key itself
+const thumbprint = (publicKey) => {
+  const jwk = publicKey.export({ format: 'jwk' });
+  const members = jwk.kty === 'EC' ? { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y } : { e: jwk.e, kty: jwk.kty, n: jwk.n };
+  return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+}
+
+const generateKeyPair = (algorithm) => {
+  if (algorithm === 'ES256') {
+    return crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  }
+  if (algorithm === 'RS256') {
+    return crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  }
+  throw new Error(`Unsupported signing algorithm ${algorithm}`);
+}
+
+const loadKeys = async ({ force = false } = {}) => {
+  const maxAge = force ? MIN_REFRESH_INTERVAL : CACHE_TTL;
+  if (cache && cache.fetchedAt > Date.now() - maxAge) {
+    return cache.keys;
+  }
+  const signingKeys = await SigningKey.find({
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: Date.now() } }]
+  }).select('+privateKey').sort({ activatesAt: -1 });
+
+  const keys = signingKeys.map((signingKey) => ({
+    kid: signingKey.kid,
+    algorithm: signingKey.algorithm,
+    activatesAt: signingKey.activatesAt,
+    expiresAt: signingKey.expiresAt,
+    publicKey: crypto.createPublicKey(signingKey.publicKey),
+    privateKey: crypto.createPrivateKey(decryptPrivateKey(signingKey.privateKey)),
+  }));
+  cache = { keys, fetchedAt: Date.now() };
+  return keys;
+}
+
+// Create a key that starts signing after `activateInMinutes`. Older keys keep verifying until every
+// token they could still sign has expired.
+exports.rotateSigningKey = async ({ algorithm = authConfig.jwtAlgorithm, activateInMinutes = 0 } = {}) => {
+  const { publicKey, privateKey } = generateKeyPair(algorithm);
+  const activatesAt = Date.now() + activateInMinutes * 60 * 1000;
+  const signingKey = await SigningKey.create({
+    kid: thumbprint(publicKey),
+    algorithm,
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+    privateKey: encryptPrivateKey(privateKey.export({ type: 'pkcs8', format: 'pem' })),
+    activatesAt,
+  });
+  await SigningKey.updateMany(
+    { _id: { $ne: signingKey._id }, expiresAt: null, activatesAt: { $lte: activatesAt } },
+    { expiresAt: activatesAt + maxTokenLifetimeMs() }
+  );
+  cache = null;
+  return signingKey;
+}
+
+// The newest key that has activated. The first key is created on demand.
+exports.getSigningKey = async () => {
+  let keys = await loadKeys();
+  let signingKey = keys.find((key) => key.activatesAt <= Date.now());
+  if (!signingKey) {
+    await exports.rotateSigningKey();
+    keys = await loadKeys();
+    signingKey = keys.find((key) => key.activatesAt <= Date.now());
+  }
+  return signingKey;
+}
+
+// Any key that has not expired, including ones published ahead of their activation
+exports.getVerificationKey = async (kid) => {
+  const keys = await loadKeys();
+  const key = keys.find((candidate) => candidate.kid === kid);
+  if (key) {
+    return key;
+  }
+  // another instance may have rotated since we last loaded the keys
+  const refreshedKeys = await loadKeys({ force: true });
+  return refreshedKeys.find((candidate) => candidate.kid === kid) || null;
+}
+
+// Public keys for GET /.well-known/jwks.json
+exports.getPublicJwks = async () => {
+  const keys = await loadKeys();
+  return {
+    keys: keys.map((key) => ({
+      ...key.publicKey.export({ format: 'jwk' }),
+      kid: key.kid,
+      alg: key.algorithm,
+      use: 'sig',
+    })),
+  };
+}
@@ -0,0 +1,214 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const RefreshToken = require('../models/refreshToken.model');
+const Session = require('../models/session.model');
+const { describeDevice } = require('./device');
+const { getSigningKey, getVerificationKey } = require('./signingKeys');
+const authConfig = require('../../config/auth');
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "None",
+};
+
+// the refresh cookie is only ever needed by the auth routes
+const refreshCookieOptions = { ...cookieOptions, path: "/api/v1/auth" };
+
+exports.hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Every JWT we issue is signed here with the current key, its kid in the header
+const signToken = async (payload, expiresIn) => {
+  const { kid, algorithm, privateKey } = await getSigningKey();
+  return jwt.sign(payload, privateKey, { algorithm, keyid: kid, issuer: authConfig.jwtIssuer, expiresIn });
+}
+
+// Verify a JWT against whichever of our keys signed it. Tokens without a kid were signed with the old
+// shared PRIVATE_KEY secret and are only accepted while `acceptLegacyTokens` is on.
+exports.verifyToken = async (token) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError("jwt malformed");
+  }
+  const { kid } = decoded.header;
+  if (!kid) {
+    if (!authConfig.acceptLegacyTokens || !process.env.PRIVATE_KEY) {
+      throw new jwt.JsonWebTokenError("legacy tokens are no longer accepted");
+    }
+    return jwt.verify(token, process.env.PRIVATE_KEY, { algorithms: ['HS256'] });
+  }
+  const key = await getVerificationKey(kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError("unknown signing key");
+  }
+  return jwt.verify(token, key.publicKey, { algorithms: [key.algorithm], issuer: authConfig.jwtIssuer });
+}
+
+exports.signAccessToken = async (user, sessionId) => {
+  return signToken({
+    id: user._id,
+    email: user.email,
+    role: user.role,
+    tokenVersion: user.tokenVersion,
+    sid: sessionId
+  }, `${authConfig.accessTokenTtlMinutes}m`);
+}
+
+// Access token for an admin signed in as another user. It carries both ids so every request can be
+// traced back to the admin, and it is never paired with a refresh token.
+exports.signImpersonationToken = async (user, impersonator, sessionId) => {
+  return signToken({
+    id: user._id,
+    email: user.email,
+    role: user.role,
+    tokenVersion: user.tokenVersion,
+    sid: sessionId,
+    impersonatorId: impersonator._id
+  }, `${authConfig.impersonationTtlMinutes}m`);
+}
+
+// Short-lived token proving the password step of signIn, exchanged at /auth/2fa/verify (purpose "2fa")
+// or used to enroll when 2FA is mandatory (purpose "2fa-setup")
+exports.signChallengeToken = async (user, purpose) => {
+  return signToken({
+    id: user._id,
+    purpose,
+    tokenVersion: user.tokenVersion
+  }, `${authConfig.twoFactorChallengeTtlMinutes}m`);
+}
+
+// Returns the decoded challenge, or null if it is invalid, expired or issued for another purpose
+exports.verifyChallengeToken = async (token, purpose) => {
+  try {
+    const decoded = await exports.verifyToken(token);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (err) {
+    if (err instanceof jwt.JsonWebTokenError) {
+      return null;
+    }
+    throw err;
+  }
+}
+
+// Constant-time comparison of the CSRF token sent by the client with the one stored on its session
+exports.csrfTokensMatch = (expected, provided) => {
+  if (!expected || typeof provided !== 'string' || provided.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(provided));
+}
+
+// The session's CSRF token, sessions created before CSRF protection get one now
+exports.getCsrfToken = async (sessionId) => {
+  const session = await Session.findById(sessionId).select('+csrfToken');
+  if (!session) {
+    return null;
+  }
+  if (!session.csrfToken) {
+    session.csrfToken = crypto.randomBytes(32).toString('hex');
+    await session.save();
+  }
+  return session.csrfToken;
+}
+
+// Create a new refresh token. Tokens rotated from the same sign-in share its session id as their family.
+exports.issueRefreshToken = async (user, { family, ip } = {}) => {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: exports.hashToken(refreshToken),
+    family,
+    tokenVersion: user.tokenVersion,
+    expiresAt: Date.now() + authConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000,
+    createdByIp: ip
+  });
+  return refreshToken;
+}
+
+exports.revokeRefreshTokenFamily = async (family) => {
+  await RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: Date.now() });
+}
+
+// Revoke a session and every refresh token issued for it
+exports.revokeSession = async (sessionId) => {
+  // refresh tokens issued before sessions existed have a random family
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return exports.revokeRefreshTokenFamily(sessionId);
+  }
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: Date.now() });
+  await exports.revokeRefreshTokenFamily(sessionId.toString());
+}
+
+exports.revokeAllSessions = async (userId) => {
+  const sessions = await Session.find({ user: userId, revokedAt: null }).select("_id");
+  await Promise.all(sessions.map((session) => exports.revokeSession(session._id)));
+}
+
+// Sign an access token and a refresh token for the user and set both as secure HTTP-only cookies.
+// A new session is recorded unless the id of the session being refreshed is passed. The session's CSRF
+// token is returned for the client to send back in the X-CSRF-Token header.
+exports.issueAuthTokens = async (req, res, user, { sessionId } = {}) => {
+  const expiresAt = Date.now() + authConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000;
+  if (sessionId) {
+    await Session.updateOne({ _id: sessionId }, { lastSeenAt: Date.now(), expiresAt, ip: req.ip });
+  } else {
+    const userAgent = req.get('user-agent');
+    const session = await Session.create({
+      user: user._id,
+      device: req.get('x-device-name') || describeDevice(userAgent),
+      ip: req.ip,
+      userAgent,
+      expiresAt
+    });
+    sessionId = session._id;
+  }
+
+  const accessToken = await exports.signAccessToken(user, sessionId);
+  const refreshToken = await exports.issueRefreshToken(user, { family: sessionId.toString(), ip: req.ip });
+  const csrfToken = await exports.getCsrfToken(sessionId);
+
+  res.cookie("accessToken", accessToken, {
+    ...cookieOptions,
+    maxAge: authConfig.accessTokenTtlMinutes * 60 * 1000
+  });
+  res.cookie("refreshToken", refreshToken, {
+    ...refreshCookieOptions,
+    maxAge: authConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000
+  });
+
+  return { accessToken, refreshToken, sessionId, csrfToken };
+}
+
+// Start an impersonation session and replace the admin's access token cookie with one for the user.
+// The admin's refresh token cookie is left alone so /auth/refresh brings them back to their own account.
+exports.issueImpersonationToken = async (req, res, user, impersonator) => {
+  const expiresAt = Date.now() + authConfig.impersonationTtlMinutes * 60 * 1000;
+  const userAgent = req.get('user-agent');
+  const session = await Session.create({
+    user: user._id,
+    device: `Support session (${describeDevice(userAgent)})`,
+    ip: req.ip,
+    userAgent,
+    expiresAt,
+    impersonator: impersonator._id
+  });
+
+  const accessToken = await exports.signImpersonationToken(user, impersonator, session._id);
+  const csrfToken = await exports.getCsrfToken(session._id);
+  res.cookie("accessToken", accessToken, {
+    ...cookieOptions,
+    maxAge: authConfig.impersonationTtlMinutes * 60 * 1000
+  });
+
+  return { accessToken, csrfToken, sessionId: session._id, expiresAt: new Date(expiresAt) };
+}
+
+exports.clearAccessTokenCookie = (res) => {
+  res.clearCookie("accessToken", cookieOptions);
+}
+
+exports.clearAuthCookies = (res) => {
+  exports.clearAccessTokenCookie(res);
+  res.clearCookie("refreshToken", refreshCookieOptions);
+}
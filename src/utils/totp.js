@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords, compatible with Google Authenticator, Authy, 1Password, ...
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIOD = 30; // seconds
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+const base32Decode = (input) => {
+  const cleanInput = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleanInput) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character in TOTP secret");
+    }
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+const hotp = (key, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+  return (code % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+}
+
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+exports.currentStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD);
+
+exports.generateTotp = (secret, time = Date.now()) => hotp(base32Decode(secret), exports.currentStep(time));
+
+// Returns the matching time step, or null. Steps at or before `lastUsedStep` are rejected so a code can't be replayed.
+exports.verifyTotp = (secret, token, { window = 1, lastUsedStep = -1 } = {}) => {
+  const cleanToken = String(token || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(cleanToken)) {
+    return null;
+  }
+  const key = base32Decode(secret);
+  const step = exports.currentStep();
+  for (let drift = -window; drift <= window; drift++) {
+    const candidateStep = step + drift;
+    if (candidateStep <= lastUsedStep) {
+      continue;
+    }
+    if (crypto.timingSafeEqual(Buffer.from(hotp(key, candidateStep)), Buffer.from(cleanToken))) {
+      return candidateStep;
+    }
+  }
+  return null;
+}
+
+exports.buildOtpauthUri = ({ secret, label, issuer }) => {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD),
+  });
+  return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(label)}?${params.toString()}`;
+}
+
+exports.base32Encode = base32Encode;
+exports.base32Decode = base32Decode;
@@ -0,0 +1,152 @@
+const Workshop = require('../models/workshop.model');
+const User = require('../models/user.model');
+const Register = require('../models/register.model');
+const Notification = require('../models/notification.model');
+const { sendMail } = require('./email.transport');
+
+// A seat is free when the workshop has no capacity or its attendees and guests don't fill it
+const seatAvailable = {
+  $or: [
+    { capacity: null },
+    {
+      $expr: {
+        $lt: [{ $add: [{ $size: '$attendees' }, { $ifNull: ['$guestCount', 0] }] }, '$capacity']
+      }
+    }
+  ]
+};
+
+exports.seatsLeft = (workshop) =>
+  workshop.capacity === null || workshop.capacity === undefined
+    ? null
+    : Math.max(workshop.capacity - workshop.attendees.length - (workshop.guestCount || 0), 0);
+
+const includesUser = (ids, userId) => Boolean(userId) && ids.some((id) => id.toString() === userId.toString());
+
+// Workshop as shown to the public: how many are registered, attended and waiting, not who.
+// The caller, when signed in, is told whether they are registered or attended.
+exports.toPublicWorkshop = (workshop, userId = null) => ({
+  ...workshop.toObject(),
+  attendees: undefined,
+  attendedBy: undefined,
+  waitlist: undefined,
+  attendeeCount: workshop.attendees.length,
+  attendedCount: workshop.attendedBy.length,
+  seatsLeft: exports.seatsLeft(workshop),
+  waitlistCount: workshop.waitlist.length,
+  isRegistered: includesUser(workshop.attendees, userId),
+  hasAttended: includesUser(workshop.attendedBy, userId)
+});
+
+// Add the user to the attendees if a seat is free. Returns the updated workshop, or null when it is full.
+exports.reserveUserSeat = (workshopId, userId) =>
+  Workshop.findOneAndUpdate(
+    { _id: workshopId, ...seatAvailable },
+    { $addToSet: { attendees: userId }, $pull: { waitlist: { user: userId } } },
+    { new: true }
+  );
+
+// Put the user at the back of the waitlist. Returns the updated workshop, or null when they are
+// already on it or holding a seat, so two requests at the same time can't add them twice.
+exports.joinUserWaitlist = (workshopId, userId) =>
+  Workshop.findOneAndUpdate(
+    { _id: workshopId, attendees: { $ne: userId }, 'waitlist.user': { $ne: userId } },
+    { $push: { waitlist: { user: userId } } },
+    { new: true }
+  );
+
+// Count a guest in if a seat is free. Returns the updated workshop, or null when it is full.
+exports.reserveGuestSeat = (workshopId) =>
+  Workshop.findOneAndUpdate(
+    { _id: workshopId, ...seatAvailable },
+    { $inc: { guestCount: 1 } },
+    { new: true }
+  );
+
+exports.releaseGuestSeat = (workshopId) =>
+  Workshop.updateOne({ _id: workshopId, guestCount: { $gt: 0 } }, { $inc: { guestCount: -1 } });
+
+// Recount the guests holding seats, for workshops whose guests registered before seats were counted
+exports.recountGuests = async (workshop) => {
+  workshop.guestCount = await Register.countDocuments({
+    workshopId: workshop._id,
+    status: { $ne: 'waitlisted' }
+  });
+  return workshop;
+};
+
+// Position of the user or guest on the waitlist, starting at 1
+exports.waitlistPosition = (workshop, { userId, guestId }) =>
+  workshop.waitlist.findIndex((entry) =>
+    userId
+      ? entry.user?.toString() === userId.toString()
+      : entry.guest?.toString() === guestId.toString()
+  ) + 1;
+
+const notifyPromotedUser = async (workshop, userId) => {
+  const user = await User.findByIdAndUpdate(userId, {
+    $addToSet: { workshops: workshop._id },
+    hasChosenPath: true
+  });
+  await Notification.create({
+    userId,
+    type: 'workshop',
+    message: `${user?.firstName || 'A learner'} moved off the waitlist for the ${workshop.title} workshop.`,
+    userMessage: `A seat opened up! You are now registered for the ${workshop.title} workshop.`,
+    organization: workshop.organization
+  });
+};
+
+// guests have no account, so they hear about their seat by email
+const notifyPromotedGuest = async (workshop, guestId) => {
+  const guest = await Register.findByIdAndUpdate(guestId, { status: 'registered' }, { new: true });
+  if (!guest) {
+    return;
+  }
+  await Notification.create({
+    userId: null,
+    type: 'workshop',
+    message: `${guest.fullName} moved off the waitlist for the ${workshop.title} workshop.`,
+    userMessage: `A seat opened up! You are now registered for the ${workshop.title} workshop.`,
+    organization: workshop.organization
+  });
+  try {
+    await sendMail({
+      email: guest.email,
+      subject: `${workshop.title}: a seat opened up for you`,
+      text: `Hi ${guest.fullName},\n\nA seat opened up and you are now registered for the ${workshop.title} workshop.\n\nDate: ${workshop.date.toDateString()}\nDuration: ${workshop.duration}\nLocation: ${workshop.location}`
+    });
+  } catch (error) {
+    console.error(`Error emailing promoted guest ${guest._id}:`, error);
+  }
+};
+
+// Give free seats to the people at the front of the waitlist, in order, and tell them. Each promotion
+// only applies while its entry is still first and a seat is still free, so concurrent calls can't
+// promote the same person twice or overbook the workshop. Returns how many were promoted.
+exports.fillFromWaitlist = async (workshopId) => {
+  let promoted = 0;
+  for (;;) {
+    const workshop = await Workshop.findById(workshopId);
+    if (!workshop || workshop.waitlist.length === 0 || exports.seatsLeft(workshop) === 0) {
+      return promoted;
+    }
+    const [next] = workshop.waitlist;
+    const seat = next.user ? { $addToSet: { attendees: next.user } } : { $inc: { guestCount: 1 } };
+    const updated = await Workshop.findOneAndUpdate(
+      { _id: workshopId, 'waitlist.0._id': next._id, ...seatAvailable },
+      { ...seat, $pop: { waitlist: -1 } },
+      { new: true }
+    );
+    if (!updated) {
+      // someone else changed the workshop in the meantime, look again
+      continue;
+    }
+    promoted += 1;
+    if (next.user) {
+      await notifyPromotedUser(updated, next.user);
+    } else {
+      await notifyPromotedGuest(updated, next.guest);
+    }
+  }
+};